@@ -0,0 +1,171 @@
+/**
+ * API key authentication for the backend routes
+ *
+ * Every user has an API key, configured in API_KEYS as comma-separated
+ * user:key pairs ("alice:3f9c...,bob:a71e..."). Clients send their key as
+ * `Authorization: Bearer <key>` or `X-API-Key: <key>`; requests without a
+ * valid key get 401. Users named in API_ADMIN_USERS can access every document
+ * (see documents.js), not only the ones they uploaded.
+ *
+ * Browsers don't keep the key: the frontend signs in with it once and gets
+ * a session token (see createSession), sent as `Authorization: Bearer
+ * <token>` like a key. Session tokens are signed with SESSION_SECRET and
+ * expire after SESSION_TTL_HOURS; changing or removing the user's key ends
+ * their sessions. Without SESSION_SECRET a random secret is used, so
+ * sessions end when the server restarts.
+ *
+ * AUTH_DISABLED=true turns authentication off for local development: every
+ * request then acts as the admin user "local". Without API_KEYS and without
+ * AUTH_DISABLED every request is refused, so a misconfigured server is never
+ * left open.
+ */
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// The user requests act as when authentication is disabled
+const LOCAL_USER = { id: 'local', admin: true };
+
+/**
+ * Create the authentication configured in env
+ * @param {object} env - Usually process.env, after dotenv has loaded
+ * @returns {object} { enabled, configured, userCount, persistentSessions, authenticate, createSession },
+ *   where authenticate is Express middleware that sets req.user ({ id, admin }
+ *   plus sessionExpiresAt for session tokens)
+ */
+export function createAuth(env = process.env) {
+  const enabled = env.AUTH_DISABLED !== 'true';
+  const admins = new Set(parseList(env.API_ADMIN_USERS));
+  const sessionSecret = env.SESSION_SECRET || randomBytes(32).toString('hex');
+  const sessionTtlMs = parseFloat(env.SESSION_TTL_HOURS || '12') * 60 * 60 * 1000;
+
+  const keys = parseList(env.API_KEYS).map((entry) => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (separator < 1 || !key) {
+      throw new Error(`Invalid API_KEYS entry "${entry.slice(0, separator + 1) || entry}..." - expected user:key`);
+    }
+    return { id, digest: digest(key), admin: admins.has(id) };
+  });
+
+  const authenticate = (req, res, next) => {
+    if (!enabled) {
+      req.user = LOCAL_USER;
+      return next();
+    }
+
+    if (keys.length === 0) {
+      return res.status(503).json({ error: 'Authentication is not configured on the server' });
+    }
+
+    const key = requestKey(req);
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const session = verifySession(key);
+    if (session) {
+      req.user = session;
+      return next();
+    }
+
+    const match = findKey(key);
+    if (!match) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid API key or expired session' });
+    }
+
+    req.user = { id: match.id, admin: match.admin };
+    next();
+  };
+
+  // Compare every key in constant time so timing doesn't reveal which matched
+  const findKey = (key) => {
+    const requestDigest = digest(key);
+    return keys.reduce((found, entry) => (
+      timingSafeEqual(entry.digest, requestDigest) ? entry : found
+    ), null);
+  };
+
+  const sign = (payload) => createHmac('sha256', sessionSecret).update(payload).digest('base64url');
+
+  /**
+   * Sign a user in with their API key
+   * @param {string} key - The user's API key
+   * @returns {object|null} { token, user, admin, expiresAt }, or null for an unknown key
+   */
+  const createSession = (key) => {
+    const match = typeof key === 'string' && key ? findKey(key) : null;
+    if (!match) return null;
+
+    const expiresAt = Date.now() + sessionTtlMs;
+    const payload = Buffer.from(JSON.stringify({
+      sub: match.id,
+      key: keyFingerprint(match.digest),
+      exp: expiresAt,
+    })).toString('base64url');
+
+    return {
+      token: `${payload}.${sign(payload)}`,
+      user: match.id,
+      admin: match.admin,
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+  };
+
+  // The session's user, or null for anything that isn't a valid, unexpired
+  // session token of a key that is still configured
+  const verifySession = (token) => {
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !timingSafeEqual(expected, received)) return null;
+
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    const entry = keys.find(({ id, digest: keyDigest }) => (
+      id === session.sub && keyFingerprint(keyDigest) === session.key
+    ));
+    if (!entry || !(session.exp > Date.now())) return null;
+
+    return { id: entry.id, admin: entry.admin, sessionExpiresAt: new Date(session.exp).toISOString() };
+  };
+
+  return {
+    enabled,
+    configured: keys.length > 0,
+    userCount: new Set(keys.map(({ id }) => id)).size,
+    persistentSessions: !!env.SESSION_SECRET,
+    authenticate,
+    createSession,
+  };
+}
+
+/**
+ * Comma-separated env list, trimmed, without empty entries
+ * @returns {string[]}
+ */
+export function parseList(value = '') {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function requestKey(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : req.get('X-API-Key') || null;
+}
+
+function digest(key) {
+  return createHash('sha256').update(key).digest();
+}
+
+// Identifies the key a session was created with without revealing it
+function keyFingerprint(keyDigest) {
+  return createHash('sha256').update(keyDigest).digest('base64url').slice(0, 16);
+}
@@ -0,0 +1,98 @@
+/**
+ * Cache of processed extraction results
+ *
+ * Results live in an in-memory LRU and, when EXTRACTION_CACHE_DIR is set, in
+ * one JSON file per key on disk so they survive restarts. A key covers
+ * everything that changes the output (document, AI cleanup, model, prompt and
+ * pipeline versions, page range, options), so changing any of them misses the
+ * cache instead of returning stale results.
+ */
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Most recently used entries last
+const entries = new Map();
+
+/**
+ * Build a cache key from the parts that determine an extraction result
+ * @param {object} parts - e.g. { documentId, useAI, model, promptVersion, ... }
+ * @returns {string} Stable key; property order doesn't matter
+ */
+export function extractionCacheKey(parts) {
+  const sorted = Object.keys(parts).sort().map(name => [name, parts[name] ?? null]);
+  return JSON.stringify(sorted);
+}
+
+/**
+ * Look up a cached result in memory, then on disk
+ * @returns {Promise<object|null>} { value, cachedAt, source: 'memory' | 'disk' }
+ */
+export async function getCachedExtraction(key) {
+  const entry = entries.get(key);
+  if (entry) {
+    // Re-insert to mark as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return { ...entry, source: 'memory' };
+  }
+
+  const cacheDir = diskCacheDir();
+  if (!cacheDir) return null;
+
+  try {
+    const stored = JSON.parse(await fs.readFile(diskPath(cacheDir, key), 'utf8'));
+    if (stored.key !== key) return null;
+
+    remember(key, { value: stored.value, cachedAt: stored.cachedAt });
+    return { value: stored.value, cachedAt: stored.cachedAt, source: 'disk' };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading extraction cache:', error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Store a result in memory and, if configured, on disk. Disk errors are
+ * logged and otherwise ignored
+ * @returns {Promise<string>} When the entry was cached (ISO timestamp)
+ */
+export async function setCachedExtraction(key, value) {
+  const cachedAt = new Date().toISOString();
+  remember(key, { value, cachedAt });
+
+  const cacheDir = diskCacheDir();
+  if (cacheDir) {
+    try {
+      await fs.mkdir(cacheDir, { recursive: true });
+      await fs.writeFile(diskPath(cacheDir, key), JSON.stringify({ key, cachedAt, value }));
+    } catch (error) {
+      console.error('Error writing extraction cache:', error.message);
+    }
+  }
+
+  return cachedAt;
+}
+
+function remember(key, entry) {
+  const maxEntries = parseInt(process.env.EXTRACTION_CACHE_MAX_ENTRIES || '50', 10);
+
+  entries.delete(key);
+  entries.set(key, entry);
+
+  while (entries.size > Math.max(0, maxEntries)) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// Read lazily: this module is imported before dotenv loads .env
+function diskCacheDir() {
+  const dir = process.env.EXTRACTION_CACHE_DIR;
+  return dir ? path.resolve(process.cwd(), dir) : null;
+}
+
+function diskPath(cacheDir, key) {
+  return path.join(cacheDir, `${createHash('sha256').update(key).digest('hex')}.json`);
+}
@@ -0,0 +1,93 @@
+/**
+ * Concurrency limiting and retries with exponential backoff for calls to
+ * rate-limited APIs
+ */
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once; further
+ * tasks wait in FIFO order
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {function} limit(task) => Promise of the task's result
+ */
+export function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= Math.max(1, concurrency) || queue.length === 0) return;
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Call fn until it succeeds, retrying retryable errors with exponential
+ * backoff and jitter. A delay requested by the server (e.g. retry-after)
+ * replaces the computed one. To combine with a limiter, limit each attempt
+ * inside fn rather than the whole retry loop, so the delays don't hold a slot
+ * @param {function} fn - async (attempt) => result; attempt starts at 1
+ * @param {object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay before the first retry, doubled for each further one
+ * @param {number} options.maxDelayMs - Upper bound for any delay
+ * @param {function} options.isRetryable - (error) => whether to retry
+ * @param {function} options.retryAfterMs - (error) => delay requested by the server, or null
+ * @param {function} options.onRetry - (error, attempt, delayMs) => void
+ * @param {AbortSignal} options.signal - Stops retrying and waiting when aborted
+ */
+export async function retryWithBackoff(fn, options = {}) {
+  const {
+    retries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 60000,
+    isRetryable = () => true,
+    retryAfterMs = () => null,
+    onRetry,
+    signal,
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
+
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (signal?.aborted || attempt > retries || !isRetryable(error)) throw error;
+
+      // Equal jitter: half the backoff is fixed, half random
+      const backoff = baseDelayMs * 2 ** (attempt - 1);
+      const requested = retryAfterMs(error);
+      const delayMs = Math.min(maxDelayMs, requested ?? backoff / 2 + Math.random() * (backoff / 2));
+
+      onRetry?.(error, attempt, delayMs);
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
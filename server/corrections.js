@@ -0,0 +1,307 @@
+/**
+ * Reviewer corrections of extracted text, versioned per document page
+ *
+ * Reviewers can correct the text of a page's paragraphs and its cleaned text
+ * (plainText). Every save adds a version to the page's history with its
+ * author, time and, for each corrected text, a word diff against the machine
+ * output it corrects. A version holds all of the page's corrections at that
+ * point, so reverting copies an earlier version (or version 0, the machine
+ * output) into a new one and the history is never rewritten.
+ *
+ * Corrections are applied on top of extraction results (see correctPage), so
+ * re-extracting a document keeps them. They are matched to paragraphs by
+ * index; when the machine text a correction was made on has changed since
+ * (another cleanup mode or pipeline version), the correction is still
+ * applied and marked stale.
+ *
+ * Corrections are kept in memory and in the JSON file CORRECTIONS_PATH
+ * (default ./data/corrections.json) so they survive restarts.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { diffSequences } from './fidelity.js';
+
+// Word diffs needing more edits than this are stored without their changes
+const MAX_DIFF_EDITS = 2000;
+
+const DEFAULT_CORRECTIONS_PATH = './data/corrections.json';
+
+// documentId -> { [pageIndex]: versions, oldest first }
+let corrections = null;
+let pendingWrite = Promise.resolve();
+
+/**
+ * The latest correction version of every corrected page of a document
+ * @returns {Promise<object>} { [pageIndex]: version }
+ */
+export async function getLatestCorrections(documentId) {
+  const pages = (await loadStore()).get(documentId) || {};
+  return Object.fromEntries(Object.entries(pages).map(([pageIndex, versions]) => [pageIndex, versions.at(-1)]));
+}
+
+/**
+ * Every correction version of a page, oldest first
+ * @returns {Promise<object[]>} [{ version, author, createdAt, revertedFrom, paragraphs, plainText }]
+ */
+export async function getCorrectionHistory(documentId, pageIndex) {
+  const pages = (await loadStore()).get(documentId) || {};
+  return pages[pageIndex] || [];
+}
+
+/**
+ * Save corrections of a page as a new version. Paragraphs and the cleaned
+ * text that aren't in changes keep their corrections from the latest version
+ * @param {string} documentId
+ * @param {number} pageIndex
+ * @param {object} changes - {
+ *   baseVersion,  // version the reviewer edited (0 for the machine output)
+ *   paragraphs,   // [{ index, text, machineText }]; text equal to machineText removes the correction
+ *   plainText,    // { text, machineText }, null to remove the correction, undefined to keep it
+ * }
+ * @param {string} author - Id of the user saving the corrections
+ * @returns {Promise<object>} The new version
+ * @throws {Error} With status 409 when baseVersion isn't the latest version
+ */
+export async function saveCorrection(documentId, pageIndex, { baseVersion, paragraphs = [], plainText }, author) {
+  const versions = await pageVersions(documentId, pageIndex);
+  const latest = versions.at(-1);
+  checkBaseVersion(latest, baseVersion);
+
+  const corrected = { ...latest?.paragraphs };
+  for (const { index, text, machineText } of paragraphs) {
+    if (text === machineText) {
+      delete corrected[index];
+    } else {
+      corrected[index] = correctedText(text, machineText);
+    }
+  }
+
+  let correctedPlainText = latest?.plainText ?? null;
+  if (plainText !== undefined) {
+    correctedPlainText = plainText && plainText.text !== plainText.machineText
+      ? correctedText(plainText.text, plainText.machineText)
+      : null;
+  }
+
+  return addVersion(versions, {
+    author,
+    revertedFrom: null,
+    paragraphs: corrected,
+    plainText: correctedPlainText,
+  });
+}
+
+/**
+ * Revert a page's corrections to an earlier version by saving a copy of it
+ * as a new version
+ * @param {number} version - The version to restore; 0 restores the machine output
+ * @param {string} author - Id of the user reverting
+ * @param {number} [baseVersion] - Checked like in saveCorrection when given
+ * @returns {Promise<object>} The new version
+ * @throws {Error} With status 404 for a version that doesn't exist, 409 for
+ *   an outdated baseVersion
+ */
+export async function revertCorrection(documentId, pageIndex, version, author, baseVersion) {
+  const versions = await pageVersions(documentId, pageIndex);
+  if (baseVersion !== undefined) checkBaseVersion(versions.at(-1), baseVersion);
+
+  const restored = version === 0 ? { paragraphs: {}, plainText: null } : versions[version - 1];
+  if (!restored) {
+    throw correctionError(404, `Page ${pageIndex + 1} has no correction version ${version}`);
+  }
+
+  return addVersion(versions, {
+    author,
+    revertedFrom: version,
+    paragraphs: restored.paragraphs,
+    plainText: restored.plainText,
+  });
+}
+
+/**
+ * Drop all corrections of a document
+ */
+export async function removeCorrections(documentId) {
+  const store = await loadStore();
+  if (store.delete(documentId)) {
+    await saveStore();
+  }
+}
+
+/**
+ * Apply a page's latest correction version to an extracted page. Corrected
+ * paragraphs get corrected: true and their machineText; a corrected cleaned
+ * text keeps the machine output in machinePlainText. The page gets
+ * correction: { version, author, createdAt, paragraphs, plainText, stale },
+ * paragraphs listing the corrected paragraph indexes and plainText whether
+ * the cleaned text is corrected
+ * @param {object} page - A page of processTextLines
+ * @param {object} [version] - The page's entry of getLatestCorrections
+ * @returns {object} The corrected page; the page itself without corrections
+ */
+export function correctPage(page, version) {
+  if (!version) return page;
+
+  const machineParagraphs = page.paragraphs || [];
+  const indexes = Object.keys(version.paragraphs).map(Number).filter(index => index < machineParagraphs.length);
+  let stale = indexes.length < Object.keys(version.paragraphs).length;
+
+  const paragraphs = machineParagraphs.map((paragraph, index) => {
+    const correction = version.paragraphs[index];
+    if (!correction) return paragraph;
+
+    stale ||= correction.machineText !== paragraph.text;
+    return { ...paragraph, text: correction.text, machineText: paragraph.text, corrected: true };
+  });
+
+  const corrected = { ...page, paragraphs };
+  if (version.plainText) {
+    stale ||= version.plainText.machineText !== page.plainText;
+    corrected.plainText = version.plainText.text;
+    corrected.machinePlainText = page.plainText;
+  }
+
+  corrected.correction = {
+    version: version.version,
+    author: version.author,
+    createdAt: version.createdAt,
+    paragraphs: indexes,
+    plainText: !!version.plainText,
+    stale,
+  };
+  return corrected;
+}
+
+/**
+ * Error for a rejected correction request
+ * @param {number} status - HTTP status
+ * @param {string} message
+ */
+function correctionError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Saving on top of a version someone else has replaced would silently undo their corrections
+function checkBaseVersion(latest, baseVersion) {
+  const latestVersion = latest?.version ?? 0;
+  if (baseVersion !== latestVersion) {
+    const error = correctionError(409,
+      `The page's corrections were changed by ${latest?.author ?? 'someone else'} (version ${latestVersion}); reload them and try again`);
+    error.latestVersion = latestVersion;
+    throw error;
+  }
+}
+
+async function pageVersions(documentId, pageIndex) {
+  const store = await loadStore();
+  if (!store.has(documentId)) store.set(documentId, {});
+
+  const pages = store.get(documentId);
+  pages[pageIndex] ??= [];
+  return pages[pageIndex];
+}
+
+async function addVersion(versions, details) {
+  const version = {
+    version: versions.length + 1,
+    createdAt: new Date().toISOString(),
+    ...details,
+  };
+  versions.push(version);
+  await saveStore();
+
+  return version;
+}
+
+/**
+ * A corrected text with its word diff against the machine output:
+ * diff: { deletedWords, insertedWords, changes: [{ type: 'delete' | 'insert', at, text }] },
+ * at being the word index in the machine text (deletions) or the corrected
+ * text (insertions). Texts differing by more than MAX_DIFF_EDITS words get
+ * exceeded: true and no changes
+ */
+function correctedText(text, machineText) {
+  return { text, machineText, diff: diffWords(machineText, text) };
+}
+
+function diffWords(machineText, text) {
+  const machineWords = machineText.split(/\s+/).filter(Boolean);
+  const words = text.split(/\s+/).filter(Boolean);
+  const edits = diffSequences(machineWords, words, MAX_DIFF_EDITS);
+
+  if (!edits) {
+    return { exceeded: true, deletedWords: null, insertedWords: null, changes: [] };
+  }
+
+  // Consecutive edits of one type are one change
+  const changes = [];
+  for (const { type, index } of edits) {
+    const word = type === 'delete' ? machineWords[index] : words[index];
+    const last = changes[changes.length - 1];
+    if (last?.type === type && last.at + last.count === index) {
+      last.text += ` ${word}`;
+      last.count++;
+    } else {
+      changes.push({ type, at: index, text: word, count: 1 });
+    }
+  }
+
+  return {
+    exceeded: false,
+    deletedWords: edits.filter(({ type }) => type === 'delete').length,
+    insertedWords: edits.filter(({ type }) => type === 'insert').length,
+    changes: changes.map(({ count, ...change }) => change),
+  };
+}
+
+/**
+ * Read the corrections from disk on first use. A corrections file that can't
+ * be read or parsed is an error until it is fixed, so that the next save
+ * can't overwrite it with only the corrections made since
+ */
+async function loadStore() {
+  if (corrections) return corrections;
+
+  const storePath = storeFile();
+  let stored = {};
+  try {
+    stored = JSON.parse(await fs.readFile(storePath, 'utf8')).documents ?? {};
+    if (typeof stored !== 'object' || Array.isArray(stored)) throw new Error('"documents" is not an object');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`The corrections file ${storePath} can't be read (${error.message}); fix or move it and retry`);
+    }
+  }
+
+  // Another call may have loaded the corrections while this one was reading
+  corrections ??= new Map(Object.entries(stored));
+  return corrections;
+}
+
+/**
+ * Write the corrections to disk, one write at a time. Disk errors are logged
+ * and otherwise ignored
+ */
+function saveStore() {
+  const storePath = storeFile();
+
+  pendingWrite = pendingWrite.then(async () => {
+    try {
+      const temporaryPath = `${storePath}.tmp`;
+      await fs.mkdir(path.dirname(storePath), { recursive: true });
+      await fs.writeFile(temporaryPath, JSON.stringify({ documents: Object.fromEntries(corrections) }, null, 2));
+      await fs.rename(temporaryPath, storePath);
+    } catch (error) {
+      console.error('Error writing corrections:', error.message);
+    }
+  });
+
+  return pendingWrite;
+}
+
+// Read lazily: this module is imported before dotenv loads .env
+function storeFile() {
+  return path.resolve(process.cwd(), process.env.CORRECTIONS_PATH || DEFAULT_CORRECTIONS_PATH);
+}
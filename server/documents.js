@@ -0,0 +1,232 @@
+/**
+ * Registry of uploaded documents and the users who own them
+ *
+ * A document is recorded with its owner when it is uploaded through the
+ * backend; users can only extract, export and get JWTs for their own
+ * documents, admins for every document. Documents that weren't uploaded
+ * through the backend aren't in the registry, so only admins can reach them.
+ *
+ * Each entry also records the file's size and page count and which pages
+ * have been extracted, for the document library (GET /api/documents).
+ *
+ * The registry is kept in memory and in a JSON file, DOCUMENT_REGISTRY_PATH
+ * (default ./data/documents.json), so ownership survives restarts.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_REGISTRY_PATH = './data/documents.json';
+
+let documents = null;
+let pendingWrite = Promise.resolve();
+
+// Extractions in progress per document id; not persisted, a restart ends them
+const runningExtractions = new Map();
+
+/**
+ * Record a newly uploaded document
+ * @param {string} documentId - The document ID in Document Engine
+ * @param {object} details - { owner, filename, sourceType, size, pageCount },
+ *   sourceType being the uploaded file's type (see uploads.js) and size its
+ *   size in bytes
+ * @returns {Promise<object>} The registry entry
+ */
+export async function registerDocument(documentId, { owner, filename, sourceType, size, pageCount }) {
+  const registry = await loadRegistry();
+  const document = {
+    documentId,
+    owner,
+    filename,
+    sourceType,
+    size,
+    pageCount,
+    uploadedAt: new Date().toISOString(),
+    extraction: null,
+  };
+
+  registry.set(documentId, document);
+  await saveRegistry();
+
+  return document;
+}
+
+/**
+ * Look up a document by id
+ * @returns {Promise<object|null>} { documentId, owner, filename, sourceType, size,
+ *   pageCount, uploadedAt, extraction }
+ */
+export async function getDocument(documentId) {
+  const registry = await loadRegistry();
+  return registry.get(documentId) || null;
+}
+
+/**
+ * The documents a user can access, most recently uploaded first
+ * @param {object} user - { id, admin } from auth.js
+ * @returns {Promise<object[]>} Entries as returned by describeDocument
+ */
+export async function listDocuments(user) {
+  const registry = await loadRegistry();
+  return [...registry.values()]
+    .filter(document => user.admin || document.owner === user.id)
+    .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt))
+    .map(describeDocument);
+}
+
+/**
+ * Remove a document from the registry
+ * @returns {Promise<boolean>} Whether it was registered
+ */
+export async function removeDocument(documentId) {
+  const registry = await loadRegistry();
+  if (!registry.delete(documentId)) return false;
+
+  await saveRegistry();
+  return true;
+}
+
+/**
+ * Mark an extraction of a document as started. Call extractionFinished
+ * when it ends, however it ends
+ */
+export function extractionStarted(documentId) {
+  runningExtractions.set(documentId, (runningExtractions.get(documentId) || 0) + 1);
+}
+
+/**
+ * Record the outcome of an extraction of a registered document: the pages
+ * it extracted are added to the ones extracted before, a failure is kept
+ * until the next extraction succeeds
+ * @param {string} documentId
+ * @param {object|null} outcome - { pageIndexes, documentPageCount } of the
+ *   extraction result (pageIndexes null for all pages), { error } for a
+ *   failure, or null for an extraction that was cancelled or never started
+ */
+export async function extractionFinished(documentId, outcome) {
+  const running = (runningExtractions.get(documentId) || 1) - 1;
+  if (running > 0) {
+    runningExtractions.set(documentId, running);
+  } else {
+    runningExtractions.delete(documentId);
+  }
+
+  const document = await getDocument(documentId);
+  if (!document || !outcome) return;
+
+  const { pageIndexes, documentPageCount, error } = outcome;
+
+  const previous = document.extraction || { pageIndexes: [], extractedAt: null, error: null };
+  const now = new Date().toISOString();
+  document.extraction = error
+    ? { ...previous, error, failedAt: now }
+    : {
+      pageIndexes: mergePageIndexes(previous.pageIndexes, pageIndexes ?? range(documentPageCount)),
+      extractedAt: now,
+      error: null,
+    };
+  document.pageCount ??= documentPageCount;
+
+  await saveRegistry();
+}
+
+/**
+ * Public view of a registry entry. extraction.status is
+ *   'running'   - an extraction is in progress
+ *   'extracted' - every page has been extracted
+ *   'partial'   - some pages have been extracted
+ *   'failed'    - the last extraction failed and no pages have been extracted
+ *   'none'      - the document hasn't been extracted
+ */
+export function describeDocument(document) {
+  const { pageIndexes = [], extractedAt = null, error = null } = document.extraction || {};
+  const pagesExtracted = pageIndexes.length;
+
+  let status = 'none';
+  if (runningExtractions.has(document.documentId)) status = 'running';
+  else if (pagesExtracted > 0 && pagesExtracted >= document.pageCount) status = 'extracted';
+  else if (pagesExtracted > 0) status = 'partial';
+  else if (error) status = 'failed';
+
+  return {
+    documentId: document.documentId,
+    owner: document.owner,
+    filename: document.filename,
+    sourceType: document.sourceType,
+    size: document.size ?? null,
+    pageCount: document.pageCount ?? null,
+    uploadedAt: document.uploadedAt,
+    extraction: { status, pagesExtracted, extractedAt, error },
+  };
+}
+
+/**
+ * Whether a user may access a document: admins can access every document,
+ * other users only the ones they uploaded
+ * @param {string} documentId
+ * @param {object} user - { id, admin } from auth.js
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessDocument(documentId, user) {
+  if (user.admin) return true;
+
+  const document = await getDocument(documentId);
+  return !!document && document.owner === user.id;
+}
+
+/**
+ * Read the registry from disk on first use. A registry file that can't be
+ * read or parsed is an error for every request until it is fixed: starting
+ * empty would overwrite every ownership record on the next save
+ */
+async function loadRegistry() {
+  if (documents) return documents;
+
+  const registryPath = registryFile();
+  let stored = [];
+  try {
+    stored = JSON.parse(await fs.readFile(registryPath, 'utf8')).documents ?? [];
+    if (!Array.isArray(stored)) throw new Error('"documents" is not a list');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`The document registry ${registryPath} can't be read (${error.message}); fix or move it and retry`);
+    }
+  }
+
+  // Another call may have loaded the registry while this one was reading
+  documents ??= new Map(stored.map(document => [document.documentId, document]));
+  return documents;
+}
+
+/**
+ * Write the registry to disk, one write at a time. Disk errors are logged
+ * and otherwise ignored
+ */
+function saveRegistry() {
+  const registryPath = registryFile();
+
+  pendingWrite = pendingWrite.then(async () => {
+    try {
+      const temporaryPath = `${registryPath}.tmp`;
+      await fs.mkdir(path.dirname(registryPath), { recursive: true });
+      await fs.writeFile(temporaryPath, JSON.stringify({ documents: [...documents.values()] }, null, 2));
+      await fs.rename(temporaryPath, registryPath);
+    } catch (error) {
+      console.error('Error writing document registry:', error.message);
+    }
+  });
+
+  return pendingWrite;
+}
+
+function mergePageIndexes(current, added) {
+  return [...new Set([...current, ...added])].sort((a, b) => a - b);
+}
+
+function range(count) {
+  return Array.from({ length: count }, (_, index) => index);
+}
+
+// Read lazily: this module is imported before dotenv loads .env
+function registryFile() {
+  return path.resolve(process.cwd(), process.env.DOCUMENT_REGISTRY_PATH || DEFAULT_REGISTRY_PATH);
+}
@@ -0,0 +1,191 @@
+/**
+ * Document exporters for processed extraction results
+ *
+ * Markdown and HTML are rendered from the structured paragraphs (headings,
+ * list items, captions) and tables of each page; plain text uses each page's
+ * plainText, including AI cleanup when it ran. Pages are separated by a
+ * horizontal rule in Markdown and HTML and by a form feed in plain text.
+ * hOCR and ALTO (see ocrExporters.js) need line boxes and page sizes, which
+ * formats flagged with `coordinates` ask the caller for. Only formats flagged
+ * with `cleaned` contain plainText, so only they are worth cleaning up.
+ */
+import { interleaveTables } from './tables.js';
+import { renderHocr, renderAlto } from './ocrExporters.js';
+
+export const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdown },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderHtml },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt', render: renderPlainText, cleaned: true },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json', render: renderJson, cleaned: true },
+  hocr: { contentType: 'application/xhtml+xml; charset=utf-8', extension: 'hocr', render: renderHocr, coordinates: true },
+  alto: { contentType: 'application/xml; charset=utf-8', extension: 'alto.xml', render: renderAlto, coordinates: true },
+};
+
+/**
+ * Render a processed document in one of the EXPORT_FORMATS
+ * @param {string} format - 'md' | 'html' | 'txt' | 'json' | 'hocr' | 'alto'
+ * @param {object} document - { documentId, extractedText, pageSizes? } where
+ *   extractedText is the result of processTextLines and pageSizes maps page
+ *   index to { width, height } for coordinate formats
+ * @returns {object} { body, contentType, filename }
+ */
+export function renderExport(format, document) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  return {
+    body: exporter.render(document),
+    contentType: exporter.contentType,
+    filename: `${document.documentId}.${exporter.extension}`,
+  };
+}
+
+/**
+ * Reading-ordered blocks of a page: paragraphs with tables merged in
+ */
+function pageBlocks(page) {
+  return interleaveTables(page.paragraphs || [], page.tables || [], paragraph => paragraph.bbox);
+}
+
+function renderMarkdown({ extractedText }) {
+  return extractedText.pages
+    .map(page => {
+      const entries = pageBlocks(page);
+      const blocks = entries.map(({ kind, item, table }) => {
+        if (kind === 'table') return markdownTable(table);
+
+        switch (item.type) {
+          case 'heading':
+            return `${'#'.repeat(item.level)} ${item.text}`;
+          case 'listItem':
+            return markdownListItem(item);
+          case 'caption':
+            return `*${item.text}*`;
+          default:
+            return item.text.replace(/^(#{1,6}\s)/, '\\$1');
+        }
+      });
+
+      // Consecutive list items stay on adjacent lines so they form one list
+      const isListItem = entry => entry?.kind === 'item' && entry.item.type === 'listItem';
+      const body = blocks
+        .map((block, i) => (i === 0 ? '' : isListItem(entries[i - 1]) && isListItem(entries[i]) ? '\n' : '\n\n') + block)
+        .join('');
+
+      return `<!-- Page ${page.pageIndex + 1} -->\n\n${body}`;
+    })
+    .join('\n\n---\n\n') + '\n';
+}
+
+function markdownListItem(item) {
+  const numbered = item.text.match(/^\(?(\d{1,3})[.)]\s+(.*)$/s);
+  if (numbered) return `${numbered[1]}. ${numbered[2]}`;
+
+  // Bullets become "-", other markers (a., iv.) are kept as text
+  const bullet = item.listType === 'bullet' ? item.text.replace(/^\S+\s+/, '') : item.text;
+  return `- ${bullet}`;
+}
+
+function markdownTable(table) {
+  const columnCount = Math.max(...table.rows.map(row => row.length));
+  const cell = text => (text || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  const row = cells => `| ${Array.from({ length: columnCount }, (_, i) => cell(cells[i])).join(' | ')} |`;
+
+  const [header, ...body] = table.rows;
+  return [
+    row(header),
+    `| ${Array(columnCount).fill('---').join(' | ')} |`,
+    ...body.map(row),
+  ].join('\n');
+}
+
+function renderHtml({ documentId, extractedText }) {
+  const pages = extractedText.pages.map(page => {
+    const parts = [];
+    let openList = null;
+
+    const closeList = () => {
+      if (openList) parts.push(`</${openList}>`);
+      openList = null;
+    };
+
+    pageBlocks(page).forEach(({ kind, item, table }) => {
+      const listTag = kind === 'item' && item.type === 'listItem'
+        ? (item.listType === 'numbered' ? 'ol' : 'ul')
+        : null;
+      if (listTag !== openList) {
+        closeList();
+        if (listTag) parts.push(`<${listTag}>`);
+        openList = listTag;
+      }
+
+      if (kind === 'table') {
+        parts.push(htmlTable(table));
+      } else if (item.type === 'heading') {
+        parts.push(`<h${item.level}>${escapeHtml(item.text)}</h${item.level}>`);
+      } else if (item.type === 'listItem') {
+        const text = item.listType === 'bullet' ? item.text.replace(/^\S+\s+/, '') : item.text;
+        parts.push(`<li>${escapeHtml(text)}</li>`);
+      } else if (item.type === 'caption') {
+        parts.push(`<p class="caption">${escapeHtml(item.text)}</p>`);
+      } else {
+        parts.push(`<p>${escapeHtml(item.text)}</p>`);
+      }
+    });
+    closeList();
+
+    return `<section class="page" id="page-${page.pageIndex + 1}">\n${parts.join('\n')}\n</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(documentId)}</title>
+<style>
+  .caption { font-style: italic; }
+  hr.page-break { page-break-after: always; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; }
+</style>
+</head>
+<body>
+${pages.join('\n<hr class="page-break">\n')}
+</body>
+</html>
+`;
+}
+
+function htmlTable(table) {
+  const [header, ...body] = table.rows;
+  const row = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('')}</tr>`;
+
+  return [
+    '<table>',
+    `<thead>${row(header, 'th')}</thead>`,
+    `<tbody>${body.map(cells => row(cells, 'td')).join('')}</tbody>`,
+    '</table>',
+  ].join('\n');
+}
+
+function renderPlainText({ extractedText }) {
+  return extractedText.pages.map(page => page.plainText).join('\n\f\n') + '\n';
+}
+
+function renderJson({ documentId, extractedText }) {
+  return JSON.stringify({
+    documentId,
+    pageCount: extractedText.pages.length,
+    pages: extractedText.pages,
+  }, null, 2);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
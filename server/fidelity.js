@@ -0,0 +1,280 @@
+/**
+ * Content-fidelity verifier for AI-cleaned text
+ *
+ * Cleanup is only supposed to fix spacing and formatting, so the raw and
+ * cleaned text are compared character by character with whitespace, case and
+ * line-break hyphenation ignored: adding spaces between run-together words or
+ * rejoining "exam-\nple" costs nothing, while dropped sentences, invented
+ * content and edited characters show up as deletions and insertions.
+ * Numbers are compared separately, since a single changed digit on an invoice
+ * matters more than the score suggests, and placeholder phrases such as
+ * "(details remain as in the original)" are flagged outright.
+ */
+
+// Edit distance is computed exactly up to this many characters; beyond it the
+// texts are reported as at least this different. Bounds time and memory
+const MAX_EDIT_DISTANCE = 2000;
+
+// Examples of deleted/inserted text returned per page
+const MAX_SAMPLES = 5;
+const MAX_SAMPLE_CHARS = 80;
+const SAMPLE_MERGE_GAP = 3;
+
+const PLACEHOLDER_PATTERN = /[([][^)\]]{0,80}\b(?:remains?|remaining|unchanged|omitted|truncated|as in the original|same as (?:in )?the original|not shown|continues)\b[^)\]]{0,80}[)\]]/gi;
+
+/**
+ * Compare raw text with its AI-cleaned version
+ * @param {string} rawText - Text sent to the AI
+ * @param {string} cleanedText - Text the AI returned
+ * @param {object} options - { minScore } below which the check fails
+ * @returns {object} {
+ *   score,            // 1 - edited characters / compared characters, 0..1
+ *   passed,           // score >= minScore, no changed numbers, no placeholders
+ *   editDistance,     // deleted + inserted characters (a lower bound if exceeded)
+ *   exceeded,         // texts differ by more than MAX_EDIT_DISTANCE characters
+ *   comparedChars,    // non-whitespace characters in both texts
+ *   deletedChars, insertedChars,
+ *   deletions, insertions,   // samples of removed and added text
+ *   changedNumbers: { missing, added },
+ *   placeholders,
+ * }
+ */
+export function verifyFidelity(rawText, cleanedText, options = {}) {
+  const { minScore = 0.95 } = options;
+
+  const raw = normalize(rawText);
+  const cleaned = normalize(cleanedText);
+  const comparedChars = raw.chars.length + cleaned.chars.length;
+
+  const edits = diffSequences(raw.chars, cleaned.chars, MAX_EDIT_DISTANCE);
+  const exceeded = edits === null;
+
+  let deletedChars = null;
+  let insertedChars = null;
+  let deletions = [];
+  let insertions = [];
+
+  if (!exceeded) {
+    const deleted = edits.filter(edit => edit.type === 'delete');
+    const inserted = edits.filter(edit => edit.type === 'insert');
+    deletedChars = deleted.length;
+    insertedChars = inserted.length;
+    deletions = samples(deleted, raw);
+    insertions = samples(inserted, cleaned);
+  }
+
+  const editDistance = exceeded ? MAX_EDIT_DISTANCE + 1 : deletedChars + insertedChars;
+  const changedNumbers = compareNumbers(raw.source, cleaned.source);
+  const placeholders = findPlaceholders(cleaned.source, raw.source);
+
+  return summarize({
+    editDistance,
+    exceeded,
+    comparedChars,
+    deletedChars,
+    insertedChars,
+    deletions,
+    insertions,
+    changedNumbers,
+    placeholders,
+  }, minScore);
+}
+
+/**
+ * Combine the results for the chunks of one page into a page result
+ * @param {object[]} results - verifyFidelity results
+ * @param {object} options - { minScore }
+ */
+export function mergeFidelity(results, options = {}) {
+  const { minScore = 0.95 } = options;
+  const sum = (key) => results.some(result => result[key] === null)
+    ? null
+    : results.reduce((total, result) => total + result[key], 0);
+
+  return summarize({
+    editDistance: results.reduce((total, result) => total + result.editDistance, 0),
+    exceeded: results.some(result => result.exceeded),
+    comparedChars: results.reduce((total, result) => total + result.comparedChars, 0),
+    deletedChars: sum('deletedChars'),
+    insertedChars: sum('insertedChars'),
+    deletions: results.flatMap(result => result.deletions).slice(0, MAX_SAMPLES),
+    insertions: results.flatMap(result => result.insertions).slice(0, MAX_SAMPLES),
+    changedNumbers: {
+      missing: results.flatMap(result => result.changedNumbers.missing),
+      added: results.flatMap(result => result.changedNumbers.added),
+    },
+    placeholders: results.flatMap(result => result.placeholders),
+  }, minScore);
+}
+
+/**
+ * One-line description of why a fidelity check failed
+ */
+export function describeFidelity(fidelity) {
+  const problems = [`score ${fidelity.score}`];
+  const { missing, added } = fidelity.changedNumbers;
+
+  if (missing.length || added.length) {
+    problems.push(`numbers changed (missing: ${missing.join(', ') || 'none'}; added: ${added.join(', ') || 'none'})`);
+  }
+  if (fidelity.placeholders.length) {
+    problems.push(`placeholder text "${fidelity.placeholders[0]}"`);
+  }
+
+  return problems.join(', ');
+}
+
+function summarize(result, minScore) {
+  const score = result.comparedChars === 0
+    ? 1
+    : Math.max(0, 1 - result.editDistance / result.comparedChars);
+  const roundedScore = Math.round(score * 10000) / 10000;
+  const passed = score >= minScore &&
+    result.changedNumbers.missing.length === 0 &&
+    result.changedNumbers.added.length === 0 &&
+    result.placeholders.length === 0;
+
+  return { score: roundedScore, passed, ...result };
+}
+
+/**
+ * Drop whitespace, case and line-break hyphenation, keeping the position of
+ * every remaining character in the (Unicode-normalized) source text
+ */
+function normalize(text) {
+  const source = text
+    .normalize('NFKC') // Ligatures (ﬁ → fi), full-width forms
+    .replace(/\u00AD/g, '') // Soft hyphens
+    .replace(/(\p{L})-[ \t]*\r?\n\s*(\p{L})/gu, '$1$2') // "exam-\nple"
+    .replace(/(\p{L})- +(\p{Ll})/gu, '$1$2'); // "exam- ple" (lines joined with a space)
+
+  const chars = [];
+  const positions = [];
+  for (let i = 0; i < source.length; i++) {
+    if (/\s/.test(source[i])) continue;
+    chars.push(source[i].toLowerCase());
+    positions.push(i);
+  }
+
+  return { source, chars, positions };
+}
+
+/**
+ * Shortest edit script (deletions from a, insertions from b) between two
+ * arrays of characters or words using Myers' O((N+M)D) algorithm. Also used
+ * for the word diffs of corrections (see corrections.js)
+ * @returns {object[]|null} [{ type: 'delete' | 'insert', index }] in text
+ *   order, or null when more than maxEdits edits are needed
+ */
+export function diffSequences(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m, d);
+      }
+    }
+    // Keep only diagonals -d..d; that's all the backtrack needs from step d
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  return null;
+}
+
+function backtrack(trace, n, m, distance) {
+  const edits = [];
+  let x = n;
+  let y = m;
+
+  for (let d = distance; d > 0; d--) {
+    const previous = trace[d - 1];
+    const at = (k) => previous[k + d - 1];
+    const k = x - y;
+    const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+    const prevK = down ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    if (down) {
+      edits.push({ type: 'insert', index: prevY });
+    } else {
+      edits.push({ type: 'delete', index: prevX });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return edits.reverse();
+}
+
+/**
+ * Group edits into runs and return the longest runs as text from the
+ * original source. Runs a few characters apart are merged, since single
+ * letters of a deleted sentence often happen to match
+ */
+function samples(edits, text) {
+  const runs = [];
+  for (const edit of edits) {
+    const last = runs[runs.length - 1];
+    if (last && edit.index - last.end <= SAMPLE_MERGE_GAP) {
+      last.end = edit.index + 1;
+    } else {
+      runs.push({ start: edit.index, end: edit.index + 1 });
+    }
+  }
+
+  return runs
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+    .slice(0, MAX_SAMPLES)
+    .sort((a, b) => a.start - b.start)
+    .map(run => {
+      const sample = text.source.slice(text.positions[run.start], text.positions[run.end - 1] + 1);
+      return sample.length > MAX_SAMPLE_CHARS ? `${sample.slice(0, MAX_SAMPLE_CHARS)}…` : sample;
+    });
+}
+
+/**
+ * Numbers present in one text more often than in the other
+ */
+function compareNumbers(rawText, cleanedText) {
+  const count = (text) => {
+    const counts = new Map();
+    for (const [number] of text.matchAll(/\d+(?:[.,]\d+)*/g)) {
+      counts.set(number, (counts.get(number) || 0) + 1);
+    }
+    return counts;
+  };
+  const difference = (a, b) => [...a.entries()]
+    .flatMap(([number, times]) => Array(Math.max(0, times - (b.get(number) || 0))).fill(number));
+
+  const raw = count(rawText);
+  const cleaned = count(cleanedText);
+
+  return { missing: difference(raw, cleaned), added: difference(cleaned, raw) };
+}
+
+/**
+ * Placeholder phrases in the cleaned text that weren't in the raw text
+ */
+function findPlaceholders(cleanedText, rawText) {
+  const raw = rawText.toLowerCase();
+  return [...cleanedText.matchAll(PLACEHOLDER_PATTERN)]
+    .map(([match]) => match)
+    .filter(match => !raw.includes(match.toLowerCase()));
+}
@@ -0,0 +1,126 @@
+/**
+ * In-memory background jobs for long-running extraction work
+ *
+ * A job runs an async task and records its state, page progress, per-page
+ * errors and final result so clients can poll it instead of holding a request
+ * open. Finished jobs are kept for JOB_TTL_MINUTES and then dropped.
+ */
+import { randomUUID } from 'crypto';
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+/**
+ * Create and start a job
+ * @param {object} options
+ * @param {string} options.type - Job type, e.g. 'extract'
+ * @param {string} options.documentId - Document the job works on
+ * @param {string} options.owner - User who started the job
+ * @param {function} options.run - async ({ signal, setPageCount, pageCompleted, pageError }) => result
+ * @returns {object} The job
+ */
+export function createJob({ type, documentId, owner, run }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    type,
+    documentId,
+    owner,
+    state: 'queued',
+    pageCount: null,
+    pagesCompleted: 0,
+    errors: [],
+    error: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    controller: new AbortController(),
+  };
+  jobs.set(job.id, job);
+
+  const update = (changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  };
+
+  const context = {
+    signal: job.controller.signal,
+    setPageCount: (pageCount) => update({ pageCount }),
+    pageCompleted: () => update({ pagesCompleted: job.pagesCompleted + 1 }),
+    pageError: (pageIndex, message) => update({ errors: [...job.errors, { pageIndex, message }] }),
+  };
+
+  // Start on the next tick so the caller can respond with the job first
+  setImmediate(async () => {
+    if (job.state === 'cancelled') {
+      scheduleCleanup(job);
+      return;
+    }
+    update({ state: 'running' });
+
+    try {
+      const result = await run(context);
+      if (job.state !== 'cancelled') {
+        update({ state: 'completed', result });
+      }
+    } catch (error) {
+      if (job.state !== 'cancelled') {
+        console.error(`Job ${job.id} failed:`, error);
+        update({ state: 'failed', error: error.message });
+      }
+    } finally {
+      scheduleCleanup(job);
+    }
+  });
+
+  return job;
+}
+
+/**
+ * Look up a job by id
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Cancel a queued or running job; finished jobs are left as they are
+ * @returns {object|null} The job, or null if it doesn't exist
+ */
+export function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  if (!FINISHED_STATES.includes(job.state)) {
+    job.state = 'cancelled';
+    job.updatedAt = new Date().toISOString();
+    job.controller.abort();
+  }
+
+  return job;
+}
+
+/**
+ * Public view of a job for API responses
+ */
+export function serializeJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    documentId: job.documentId,
+    state: job.state,
+    pageCount: job.pageCount,
+    pagesCompleted: job.pagesCompleted,
+    errors: job.errors,
+    error: job.error,
+    result: job.result,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+// Read lazily: this module is imported before dotenv loads .env
+function scheduleCleanup(job) {
+  const ttlMs = parseInt(process.env.JOB_TTL_MINUTES || '60', 10) * 60 * 1000;
+  setTimeout(() => jobs.delete(job.id), ttlMs).unref();
+}
@@ -0,0 +1,134 @@
+/**
+ * Languages supported by cleanup, and language detection for extracted text
+ *
+ * Detection counts the share of a text's words that are common function
+ * words ("the", "und", "les", "los", ...) of each language, with letters
+ * only one of the languages uses (ß, ç, ñ) as a tiebreaker. That is reliable
+ * for a page of prose; text with too few words, or in another language,
+ * is reported as undetermined.
+ */
+
+// Cleanup languages: display name, names accepted in requests, the language
+// Document Engine OCR recognizes, and what the AI cleanup prompt tells the
+// model about the language
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    aliases: ['english', 'eng'],
+    ocrLanguage: 'english',
+    promptNotes: [],
+    example: {
+      input: 'silverfiligreeornaments; gold and silverflower-stands',
+      output: 'silver filigree ornaments; gold and silver flower-stands',
+    },
+  },
+  de: {
+    name: 'German',
+    aliases: ['german', 'deutsch', 'deu', 'ger'],
+    ocrLanguage: 'german',
+    promptNotes: [
+      'German writes compound nouns as one word ("Wirtschaftsentwicklung") - never split a compound, only separate words that were run together',
+      'Keep nouns capitalized and keep ä, ö, ü and ß as they are',
+      'Keep hyphens in hyphenated compounds ("E-Mail", "Nord-Süd-Verbindung")',
+    ],
+    example: {
+      input: 'dieWirtschaftsentwicklungim Jahr 2023 warpositiv',
+      output: 'die Wirtschaftsentwicklung im Jahr 2023 war positiv',
+    },
+  },
+  fr: {
+    name: 'French',
+    aliases: ['french', 'français', 'francais', 'fra', 'fre'],
+    ocrLanguage: 'french',
+    promptNotes: [
+      'Keep elisions as they are ("l\'année", "qu\'il", "aujourd\'hui")',
+      'Keep hyphens in compounds and inversions ("peut-être", "a-t-il")',
+      'Keep accents and the spaces before : ; ! ? and inside « »',
+    ],
+    example: {
+      input: 'lesrésultatsdel\'annéesont positifs',
+      output: 'les résultats de l\'année sont positifs',
+    },
+  },
+  es: {
+    name: 'Spanish',
+    aliases: ['spanish', 'español', 'espanol', 'spa'],
+    ocrLanguage: 'spanish',
+    promptNotes: [
+      'Keep accents and ñ, and the inverted marks ¿ and ¡ that open questions and exclamations',
+    ],
+    example: {
+      input: 'losresultadosdelaño fueronpositivos',
+      output: 'los resultados del año fueron positivos',
+    },
+  },
+};
+
+// Pages whose language can't be determined are cleaned as this language
+export const DEFAULT_LANGUAGE = 'en';
+
+// Frequent function words, which make up a large share of any running text.
+// Italian and Portuguese are only detected so they aren't mistaken for
+// Spanish or French; they have no cleanup support
+const STOPWORDS = {
+  en: 'the of and to in is that for it with as was on be by at this are from or an have not which but had they were you their has been its would there can will all more when who also if we one',
+  de: 'der die das und ist nicht zu den von mit sich des auf für im dem ein eine einer eines auch es an als wird werden wurde sind bei aus nach oder wie noch nur über zum zur hat kann durch sie er ich wir',
+  fr: 'le la les de des du et est un une pour que qui dans en au aux sur pas par plus ne se ce il elle sont avec ou mais son sa ses été nous vous cette leur comme être fait',
+  es: 'el la los las de del y que en un una es por con para se no al lo su sus como más pero fue son está este esta entre sobre también ha han muy sin hay ser desde todo',
+  it: 'il lo la gli le di del della dei delle e che in un una è per con non si al alla sono come più ma anche ha da dal nel nella questo questa essere stato',
+  pt: 'o a os as de do da dos das e que em um uma é para com não se ao por mais como mas foi são está este esta entre sobre também tem muito sem há ser',
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(' '))])
+);
+
+// Letters that point to one language
+const DISTINCT_LETTERS = {
+  de: /[äöüß]/g,
+  fr: /[çèêëîïôœù]/g,
+  es: /[ñ¿¡]/g,
+};
+
+// Fewer words than this, or a lower share of function words, is undetermined
+const MIN_DETECTION_WORDS = 15;
+const MIN_STOPWORD_SHARE = 0.12;
+
+// The best language must score this many times the runner-up
+const MIN_LEAD_RATIO = 1.3;
+
+/**
+ * The language code for a requested language: a code ("de") or a name
+ * ("german", "Deutsch"); case is ignored
+ * @returns {string|null} The code, or null for unsupported languages
+ */
+export function resolveLanguage(value) {
+  const requested = String(value).trim().toLowerCase();
+  const match = Object.entries(LANGUAGES)
+    .find(([code, { aliases }]) => code === requested || aliases.includes(requested));
+  return match ? match[0] : null;
+}
+
+/**
+ * Detect the language of a text
+ * @param {string} text
+ * @returns {string|null} A code in LANGUAGES, or null when the text is too
+ *   short or in none of them
+ */
+export function detectLanguage(text) {
+  const lower = text.toLowerCase();
+  const words = lower.match(/\p{L}+/gu) || [];
+  if (words.length < MIN_DETECTION_WORDS) return null;
+
+  const scores = Object.entries(STOPWORD_SETS).map(([language, stopwords]) => {
+    const hits = words.filter(word => stopwords.has(word)).length;
+    const letters = DISTINCT_LETTERS[language] ? (lower.match(DISTINCT_LETTERS[language]) || []).length : 0;
+    return { language, share: hits / words.length, score: hits + letters / 2 };
+  });
+  scores.sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (best.share < MIN_STOPWORD_SHARE || best.score < runnerUp.score * MIN_LEAD_RATIO) return null;
+
+  return LANGUAGES[best.language] ? best.language : null;
+}
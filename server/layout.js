@@ -0,0 +1,236 @@
+/**
+ * Page layout analysis for text lines returned by Document Engine /pages/text
+ *
+ * Detects column gutters, sidebars and full-width spans from line bounding
+ * boxes and returns the lines in reading order: full-width sections top to
+ * bottom, and inside multi-column sections each column top to bottom, left to
+ * right, with sidebars read after the main columns.
+ */
+
+// Minimum number of side-by-side line pairs needed to accept a gutter
+const MIN_GUTTER_SUPPORT = 3;
+
+// Columns narrower than this fraction of the widest column are sidebars
+const SIDEBAR_WIDTH_RATIO = 0.5;
+
+/**
+ * Analyze the layout of a page and order its lines for reading
+ * @param {object[]} textLines - Non-empty text lines with left/top/width/height
+ * @returns {object} { lines, columnCount, sections }
+ *   lines: copies of the input lines in reading order, each with
+ *          `section`, `column` and `region` ('fullWidth' | 'column' | 'sidebar')
+ *   columnCount: highest number of columns found in any section
+ *   sections: [{ type, bbox, columns: [{ index, role, bbox }] }]
+ */
+export function analyzeLayout(textLines) {
+  if (textLines.length === 0) {
+    return { lines: [], columnCount: 0, sections: [] };
+  }
+
+  const medianHeight = median(textLines.map(line => line.height));
+  const minGutterWidth = Math.max(8, medianHeight * 0.8);
+
+  const gutters = findGutters(textLines, minGutterWidth);
+  const sortedLines = [...textLines].sort(compareReadingRows);
+  gutters.forEach(gutter => expandGutterRange(gutter, sortedLines));
+
+  const orderedLines = [];
+  const sections = [];
+
+  for (const sectionLines of splitIntoSections(sortedLines, gutters)) {
+    const sectionIndex = sections.length;
+    const activeGutters = sectionLines.gutters;
+
+    if (activeGutters.length === 0) {
+      sectionLines.lines.forEach(line => {
+        orderedLines.push({ ...line, section: sectionIndex, column: 0, region: 'fullWidth' });
+      });
+      sections.push({ type: 'fullWidth', bbox: boundingBox(sectionLines.lines), columns: [] });
+      continue;
+    }
+
+    const centers = activeGutters.map(gutter => gutter.center).sort((a, b) => a - b);
+    const columns = centers.map(() => []).concat([[]]);
+    sectionLines.lines.forEach(line => {
+      const lineCenter = line.left + line.width / 2;
+      columns[centers.filter(center => center < lineCenter).length].push(line);
+    });
+
+    const nonEmpty = columns
+      .map((lines, index) => ({ index, lines, bbox: lines.length ? boundingBox(lines) : null }))
+      .filter(column => column.lines.length > 0);
+    const widest = Math.max(...nonEmpty.map(column => column.bbox.width));
+    nonEmpty.forEach(column => {
+      column.role = nonEmpty.length > 1 && column.bbox.width < widest * SIDEBAR_WIDTH_RATIO
+        ? 'sidebar'
+        : 'column';
+    });
+
+    // Main columns left to right, then sidebars
+    const readingOrder = [
+      ...nonEmpty.filter(column => column.role === 'column'),
+      ...nonEmpty.filter(column => column.role === 'sidebar'),
+    ];
+    readingOrder.forEach(column => {
+      column.lines
+        .sort((a, b) => a.top - b.top)
+        .forEach(line => {
+          orderedLines.push({ ...line, section: sectionIndex, column: column.index, region: column.role });
+        });
+    });
+
+    sections.push({
+      type: 'columns',
+      bbox: boundingBox(sectionLines.lines),
+      columns: nonEmpty.map(({ index, role, bbox }) => ({ index, role, bbox })),
+    });
+  }
+
+  const columnCount = Math.max(1, ...sections.map(section => section.columns.length));
+
+  return { lines: orderedLines, columnCount, sections };
+}
+
+/**
+ * Find vertical gutters from pairs of lines that sit side by side on the
+ * same row with a clear horizontal gap between them
+ */
+function findGutters(textLines, minGutterWidth) {
+  const pairs = [];
+
+  for (const line of textLines) {
+    const right = line.left + line.width;
+
+    // Nearest line to the right on the same row
+    let neighbor = null;
+    for (const other of textLines) {
+      if (other === line || other.left - right < minGutterWidth) continue;
+      if (verticalOverlap(line, other) < Math.min(line.height, other.height) * 0.5) continue;
+      if (!neighbor || other.left < neighbor.left) neighbor = other;
+    }
+
+    if (neighbor) {
+      pairs.push({
+        start: right,
+        end: neighbor.left,
+        top: Math.min(line.top, neighbor.top),
+        bottom: Math.max(line.top + line.height, neighbor.top + neighbor.height),
+      });
+    }
+  }
+
+  // Cluster pairs whose gaps overlap horizontally; the gutter is their intersection
+  const clusters = [];
+  pairs
+    .sort((a, b) => (a.start + a.end) - (b.start + b.end))
+    .forEach(pair => {
+      const cluster = clusters.find(c => Math.min(c.end, pair.end) - Math.max(c.start, pair.start) > 0);
+      if (cluster) {
+        cluster.start = Math.max(cluster.start, pair.start);
+        cluster.end = Math.min(cluster.end, pair.end);
+        cluster.top = Math.min(cluster.top, pair.top);
+        cluster.bottom = Math.max(cluster.bottom, pair.bottom);
+        cluster.support++;
+      } else {
+        clusters.push({ ...pair, support: 1 });
+      }
+    });
+
+  return clusters
+    .filter(cluster => cluster.support >= MIN_GUTTER_SUPPORT)
+    .map((cluster, id) => ({
+      id,
+      center: (cluster.start + cluster.end) / 2,
+      top: cluster.top,
+      bottom: cluster.bottom,
+    }));
+}
+
+/**
+ * Grow a gutter's vertical range up and down until it reaches a line that
+ * crosses it, so column heads and tails outside the side-by-side rows
+ * (e.g. a left column that runs longer than the right one) stay in the columns
+ */
+function expandGutterRange(gutter, sortedLines) {
+  const above = sortedLines.filter(line => lineCenterY(line) < gutter.top).reverse();
+  for (const line of above) {
+    if (crosses(line, gutter)) break;
+    gutter.top = Math.min(gutter.top, line.top);
+  }
+
+  const below = sortedLines.filter(line => lineCenterY(line) > gutter.bottom);
+  for (const line of below) {
+    if (crosses(line, gutter)) break;
+    gutter.bottom = Math.max(gutter.bottom, line.top + line.height);
+  }
+}
+
+/**
+ * Split lines (sorted top to bottom) into consecutive sections that share the
+ * same set of active gutters; lines crossing a gutter are full-width spans
+ */
+function splitIntoSections(sortedLines, gutters) {
+  const sections = [];
+
+  for (const line of sortedLines) {
+    const centerY = lineCenterY(line);
+    const active = gutters.filter(gutter => centerY >= gutter.top && centerY <= gutter.bottom);
+    const spans = active.some(gutter => crosses(line, gutter));
+    const lineGutters = spans ? [] : active;
+    const key = lineGutters.map(gutter => gutter.id).join(',');
+
+    const last = sections[sections.length - 1];
+    if (last && last.key === key) {
+      last.lines.push(line);
+    } else {
+      sections.push({ key, gutters: lineGutters, lines: [line] });
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Sort by vertical position, treating lines on the same visual row as
+ * left-to-right
+ */
+function compareReadingRows(a, b) {
+  if (verticalOverlap(a, b) > Math.min(a.height, b.height) * 0.5) {
+    return a.left - b.left;
+  }
+  return a.top - b.top;
+}
+
+function crosses(line, gutter) {
+  return line.left < gutter.center && line.left + line.width > gutter.center;
+}
+
+function lineCenterY(line) {
+  return line.top + line.height / 2;
+}
+
+function verticalOverlap(a, b) {
+  return Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top);
+}
+
+function boundingBox(lines) {
+  const left = Math.min(...lines.map(line => line.left));
+  const top = Math.min(...lines.map(line => line.top));
+  const right = Math.max(...lines.map(line => line.left + line.width));
+  const bottom = Math.max(...lines.map(line => line.top + line.height));
+
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Median of a list of numbers, e.g. a page's line heights; also used by
+ * tables.js, runningLines.js and the paragraph grouping in server.js
+ * @param {number[]} values - A non-empty list
+ * @returns {number}
+ */
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
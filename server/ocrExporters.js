@@ -0,0 +1,210 @@
+/**
+ * Coordinate-preserving exporters: hOCR 1.2 and ALTO 4
+ *
+ * Both formats need line boxes, so the document must be processed with
+ * processTextLines(pagesData, { includeLines: true }). Coordinates are PDF
+ * points with a top-left origin, written as whole numbers (1 unit = 1px at
+ * 72 dpi). Document Engine /pages/text only reports line boxes, so word boxes
+ * are estimated by splitting each line's width by character offset.
+ */
+import { interleaveTables } from './tables.js';
+
+const PRODUCER = 'nutrient-backend';
+
+/**
+ * Render a processed document as hOCR (XHTML with ocr_* classes)
+ * @param {object} document - { documentId, extractedText, pageSizes }
+ * @returns {string} hOCR document
+ */
+export function renderHocr({ documentId, extractedText, pageSizes }) {
+  const pages = extractedText.pages.map(page => {
+    const pageNumber = page.pageIndex + 1;
+    const size = pageSize(page, pageSizes);
+    const ids = idGenerator(pageNumber);
+
+    const blocks = pageBlocks(page).map(({ kind, lines, bbox }) => {
+      const lineSpans = lines.map(line => {
+        const words = estimateWords(line).map(word =>
+          `<span class="ocrx_word" id="${ids('word')}" title="${hocrBox(word.bbox)}">${escapeXml(word.text)}</span>`
+        );
+        return `<span class="ocr_line" id="${ids('line')}" title="${hocrBox(line.bbox)}">${words.join(' ')}</span>`;
+      });
+
+      if (kind === 'table') {
+        return `<div class="ocr_table" id="${ids('table')}" title="${hocrBox(bbox)}">\n${lineSpans.join('\n')}\n</div>`;
+      }
+
+      return [
+        `<div class="ocr_carea" id="${ids('block')}" title="${hocrBox(bbox)}">`,
+        `<p class="ocr_par" id="${ids('par')}" title="${hocrBox(bbox)}">`,
+        lineSpans.join('\n'),
+        '</p>',
+        '</div>',
+      ].join('\n');
+    });
+
+    const pageTitle = `image &quot;${escapeXml(documentId)}&quot;; bbox 0 0 ${Math.round(size.width)} ${Math.round(size.height)}; ppageno ${page.pageIndex}`;
+    return `<div class="ocr_page" id="page_${pageNumber}" title="${pageTitle}">\n${blocks.join('\n')}\n</div>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">
+<head>
+<title>${escapeXml(documentId)}</title>
+<meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>
+<meta name="ocr-system" content="${PRODUCER}"/>
+<meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocr_table"/>
+</head>
+<body>
+${pages.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a processed document as ALTO 4 XML
+ * @param {object} document - { documentId, extractedText, pageSizes }
+ * @returns {string} ALTO document
+ */
+export function renderAlto({ documentId, extractedText, pageSizes }) {
+  const pages = extractedText.pages.map(page => {
+    const pageNumber = page.pageIndex + 1;
+    const size = pageSize(page, pageSizes);
+    const ids = idGenerator(pageNumber);
+    const entries = pageBlocks(page);
+
+    const blocks = entries.map(({ lines, bbox }) => {
+      const textLines = lines.map(line => {
+        const strings = estimateWords(line).map(word =>
+          `<String ID="${ids('string')}" CONTENT="${escapeXml(word.text)}" ${altoBox(word.bbox)}/>`
+        );
+        return `<TextLine ID="${ids('line')}" ${altoBox(line.bbox)}>${strings.join('<SP/>')}</TextLine>`;
+      });
+      return `<TextBlock ID="${ids('block')}" ${altoBox(bbox)}>\n${textLines.join('\n')}\n</TextBlock>`;
+    });
+
+    const printSpace = entries.length
+      ? unionBox(entries.map(entry => entry.bbox))
+      : { left: 0, top: 0, width: 0, height: 0 };
+
+    return [
+      `<Page ID="page_${pageNumber}" PHYSICAL_IMG_NR="${pageNumber}" WIDTH="${Math.round(size.width)}" HEIGHT="${Math.round(size.height)}">`,
+      `<PrintSpace ${altoBox(printSpace)}>`,
+      ...blocks,
+      '</PrintSpace>',
+      '</Page>',
+    ].join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">
+<Description>
+<MeasurementUnit>pixel</MeasurementUnit>
+<sourceImageInformation>
+<fileName>${escapeXml(documentId)}</fileName>
+</sourceImageInformation>
+<Processing ID="processing_1">
+<processingSoftware>
+<softwareName>${PRODUCER}</softwareName>
+</processingSoftware>
+</Processing>
+</Description>
+<Layout>
+${pages.join('\n')}
+</Layout>
+</alto>
+`;
+}
+
+/**
+ * Reading-ordered blocks of a page with their line boxes
+ */
+function pageBlocks(page) {
+  return interleaveTables(page.paragraphs || [], page.tables || [], paragraph => paragraph.bbox)
+    .map(({ kind, item, table }) => {
+      const block = kind === 'table' ? table : item;
+      return { kind, bbox: block.bbox, lines: block.lines || [] };
+    })
+    .filter(block => block.lines.length > 0);
+}
+
+/**
+ * Split a line into words and estimate each word's box from its character
+ * offset within the line
+ */
+function estimateWords(line) {
+  const { text, bbox } = line;
+  const charWidth = text.length ? bbox.width / text.length : 0;
+  const words = [];
+
+  for (const match of text.matchAll(/\S+/g)) {
+    words.push({
+      text: match[0],
+      bbox: {
+        left: bbox.left + match.index * charWidth,
+        top: bbox.top,
+        width: match[0].length * charWidth,
+        height: bbox.height,
+      },
+    });
+  }
+
+  return words;
+}
+
+/**
+ * Page size from Document Engine document info, or the text extent when
+ * the page size is unknown
+ */
+function pageSize(page, pageSizes) {
+  const known = pageSizes?.[page.pageIndex];
+  if (known) return known;
+
+  const boxes = (page.paragraphs || []).concat(page.tables || []).map(block => block.bbox);
+  if (boxes.length === 0) return { width: 0, height: 0 };
+
+  const extent = unionBox(boxes);
+  return { width: extent.left + extent.width, height: extent.top + extent.height };
+}
+
+/**
+ * Sequential element IDs per page, e.g. line_2_14
+ */
+function idGenerator(pageNumber) {
+  const counters = {};
+  return (kind) => {
+    counters[kind] = (counters[kind] || 0) + 1;
+    return `${kind}_${pageNumber}_${counters[kind]}`;
+  };
+}
+
+function hocrBox(bbox) {
+  const x0 = Math.round(bbox.left);
+  const y0 = Math.round(bbox.top);
+  const x1 = Math.round(bbox.left + bbox.width);
+  const y1 = Math.round(bbox.top + bbox.height);
+  return `bbox ${x0} ${y0} ${x1} ${y1}`;
+}
+
+function altoBox(bbox) {
+  return `HPOS="${Math.round(bbox.left)}" VPOS="${Math.round(bbox.top)}" WIDTH="${Math.round(bbox.width)}" HEIGHT="${Math.round(bbox.height)}"`;
+}
+
+function unionBox(boxes) {
+  const left = Math.min(...boxes.map(box => box.left));
+  const top = Math.min(...boxes.map(box => box.top));
+  const right = Math.max(...boxes.map(box => box.left + box.width));
+  const bottom = Math.max(...boxes.map(box => box.top + box.height));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
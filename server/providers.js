@@ -0,0 +1,225 @@
+/**
+ * LLM providers for AI text cleanup
+ *
+ * Every provider turns a prompt into text through the same interface, so
+ * cleanup doesn't depend on one API:
+ *   complete({ model, prompt, maxTokens, signal }) => { text, truncated }
+ * where truncated means the output was cut off at maxTokens. Failed requests
+ * throw an Error with `status` (HTTP status or null), `headers` and
+ * `retryable` (rate limits, overloads, timeouts, server errors and dropped
+ * connections); aborted requests throw the abort error unchanged.
+ *
+ * Providers:
+ * - anthropic: Claude via ANTHROPIC_API_KEY
+ * - openai: any OpenAI-compatible chat completions endpoint (OpenAI, a local
+ *   llama.cpp or vLLM server, ...) via OPENAI_BASE_URL and/or OPENAI_API_KEY
+ * - stub: deterministic responses without network access, for tests
+ *   (AI_STUB_PROVIDER=true)
+ */
+import Anthropic from '@anthropic-ai/sdk';
+
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-5-haiku-20241022';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+// Stub models: echo returns the text to clean unchanged, truncate reports
+// output cut off at max_tokens and unavailable fails with a retryable 503
+const STUB_MODELS = ['echo', 'truncate', 'unavailable'];
+
+/**
+ * Create the providers configured in env
+ * AI_PROVIDER picks the default provider (otherwise the first configured of
+ * anthropic, openai, stub) and AI_MODEL its default model.
+ * <PROVIDER>_MODEL sets a provider's default model and <PROVIDER>_MODELS
+ * (comma-separated) further models requests may choose
+ * @param {object} env - Usually process.env, after dotenv has loaded
+ * @returns {object} { get(name?), list() }
+ */
+export function createProviders(env = process.env) {
+  const providers = new Map();
+
+  const anthropicKey = env.ANTHROPIC_API_KEY;
+  if (anthropicKey && anthropicKey !== 'your_anthropic_api_key_here') {
+    providers.set('anthropic', anthropicProvider(env));
+  }
+  if (env.OPENAI_BASE_URL || env.OPENAI_API_KEY) {
+    providers.set('openai', openAIProvider(env));
+  }
+  if (env.AI_STUB_PROVIDER === 'true') {
+    providers.set('stub', stubProvider());
+  }
+
+  const defaultName = providers.has(env.AI_PROVIDER) ? env.AI_PROVIDER : providers.keys().next().value;
+  if (env.AI_PROVIDER && !providers.has(env.AI_PROVIDER)) {
+    console.log(`⚠ AI_PROVIDER "${env.AI_PROVIDER}" is not configured, using ${defaultName || 'none'}`);
+  }
+
+  const defaultProvider = providers.get(defaultName);
+  if (defaultProvider && env.AI_MODEL) {
+    defaultProvider.defaultModel = env.AI_MODEL;
+    if (!defaultProvider.models.includes(env.AI_MODEL)) defaultProvider.models.unshift(env.AI_MODEL);
+  }
+
+  return {
+    /**
+     * A configured provider by name, or the default provider
+     * @returns {object|null}
+     */
+    get(name) {
+      return (name ? providers.get(name) : defaultProvider) || null;
+    },
+
+    /**
+     * Configured providers and their models, default first
+     */
+    list() {
+      return [...providers.values()]
+        .sort((a, b) => (b === defaultProvider) - (a === defaultProvider))
+        .map(({ name, defaultModel, models }) => ({
+          name,
+          default: providers.get(name) === defaultProvider,
+          defaultModel,
+          models,
+        }));
+    },
+  };
+}
+
+function anthropicProvider(env) {
+  const client = new Anthropic({
+    apiKey: env.ANTHROPIC_API_KEY,
+    maxRetries: 0, // Retries are handled by retryWithBackoff
+  });
+  const defaultModel = env.ANTHROPIC_MODEL || DEFAULT_ANTHROPIC_MODEL;
+
+  return {
+    name: 'anthropic',
+    defaultModel,
+    models: modelList(defaultModel, env.ANTHROPIC_MODELS),
+
+    async complete({ model, prompt, maxTokens, signal }) {
+      try {
+        const message = await client.messages.create({
+          model,
+          max_tokens: maxTokens,
+          messages: [
+            {
+              role: 'user',
+              content: prompt,
+            },
+          ],
+        }, { signal });
+
+        return {
+          text: message.content.map(block => block.text || '').join(''),
+          truncated: message.stop_reason === 'max_tokens',
+        };
+      } catch (error) {
+        if (error instanceof Anthropic.APIUserAbortError) throw error;
+        if (error instanceof Anthropic.APIConnectionError) {
+          throw providerError(error.message, { retryable: true });
+        }
+        if (error instanceof Anthropic.APIError) {
+          throw providerError(error.error?.error?.message || error.message, {
+            status: error.status,
+            headers: error.headers,
+          });
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+function openAIProvider(env) {
+  const baseUrl = (env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+  const defaultModel = env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL;
+
+  return {
+    name: 'openai',
+    defaultModel,
+    models: modelList(defaultModel, env.OPENAI_MODELS),
+
+    async complete({ model, prompt, maxTokens, signal }) {
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(env.OPENAI_API_KEY && { Authorization: `Bearer ${env.OPENAI_API_KEY}` }),
+          },
+          body: JSON.stringify({
+            model,
+            max_tokens: maxTokens,
+            messages: [{ role: 'user', content: prompt }],
+          }),
+          signal,
+        });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        throw providerError(`Connection error: ${error.cause?.message || error.message}`, { retryable: true });
+      }
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        throw providerError(body?.error?.message || response.statusText, {
+          status: response.status,
+          headers: response.headers,
+        });
+      }
+
+      const data = await response.json();
+      const choice = data.choices?.[0];
+      if (typeof choice?.message?.content !== 'string') {
+        throw providerError('Response contained no message');
+      }
+
+      return {
+        text: choice.message.content,
+        truncated: choice.finish_reason === 'length',
+      };
+    },
+  };
+}
+
+function stubProvider() {
+  return {
+    name: 'stub',
+    defaultModel: STUB_MODELS[0],
+    models: [...STUB_MODELS],
+
+    async complete({ model, prompt, signal }) {
+      signal?.throwIfAborted();
+
+      if (model === 'unavailable') {
+        throw providerError('Stub provider unavailable', { status: 503 });
+      }
+
+      // The text to clean sits between the prompt's TEXT TO CLEAN marker and
+      // its closing instructions
+      const match = prompt.match(/TEXT TO CLEAN:\n([\s\S]*)\n\n[^\n]*$/);
+      return {
+        text: match ? match[1] : prompt,
+        truncated: model === 'truncate',
+      };
+    },
+  };
+}
+
+function modelList(defaultModel, extraModels = '') {
+  const models = extraModels.split(',').map(model => model.trim()).filter(Boolean);
+  return [defaultModel, ...models.filter(model => model !== defaultModel)];
+}
+
+/**
+ * Error thrown for a failed provider request. Rate limits (429), overloads
+ * (529), timeouts, conflicts and server errors are retryable
+ */
+function providerError(message, { status = null, headers = null, retryable } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.headers = headers;
+  error.retryable = retryable ?? (status === 408 || status === 409 || status === 429 || status >= 500);
+  return error;
+}
@@ -0,0 +1,257 @@
+/**
+ * Deterministic, offline text cleanup for extracted PDF text
+ *
+ * An alternative (or first pass) to AI cleanup that never sends text
+ * anywhere. It normalizes ligatures and whitespace, joins lines that belong
+ * to the same paragraph, removes hyphenation at line ends and splits
+ * run-together words ("keepthemstill" → "keep them still") with a
+ * frequency-ranked English dictionary (SUBTLEX-US word frequencies).
+ * Segmentation is deliberately conservative: only lowercase words that
+ * split entirely into common words are split, since an unknown word is far
+ * more often a technical term or name ("bioinformatics") than a typo.
+ *
+ * German, French and Spanish text (see language.js) gets its own hyphenation
+ * rules. Run-together words are only split in English: there is no
+ * dictionary for the other languages, and splitting German compounds would
+ * do more harm than good.
+ */
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Typographic ligatures (U+FB00-U+FB06). Unlike NFKC this leaves other
+// compatibility characters (superscripts, fractions) alone
+const LIGATURES = {
+  '\uFB00': 'ff',
+  '\uFB01': 'fi',
+  '\uFB02': 'fl',
+  '\uFB03': 'ffi',
+  '\uFB04': 'ffl',
+  '\uFB05': 'st',
+  '\uFB06': 'st',
+};
+
+// Subtitle corpora split contractions ("don't" → "don" + "t"); the pieces
+// aren't words on their own
+const CONTRACTION_FRAGMENTS = new Set([
+  'll', 're', 've', 'nt', 'don', 'didn', 'doesn', 'isn', 'wasn', 'weren', 'aren',
+  'couldn', 'wouldn', 'shouldn', 'haven', 'hasn', 'hadn', 'mustn', 'needn', 'ain',
+]);
+
+// Only tokens at least this long are candidates for word segmentation
+const MIN_SEGMENT_LENGTH = 6;
+
+// Parts of a split must be among this many most frequent words and at
+// least MIN_PART_LENGTH letters long ("int eg rations" is not a split)
+const COMMON_WORD_RANK = 2000;
+const MIN_PART_LENGTH = 3;
+
+// A line shorter than this share of the paragraph's longest line ends
+// before the right margin, so its line break is kept
+const SHORT_LINE_RATIO = 0.6;
+
+// Languages whose run-together words are split with the dictionary
+const SEGMENTED_LANGUAGES = new Set(['en']);
+
+// French words that follow a hyphen in compounds and inversions
+// ("peut-être", "a-t-il", "celle-ci"); a line-end hyphen before them stays
+const FRENCH_HYPHENATED_WORDS = new Set([
+  'je', 'tu', 'il', 'elle', 'on', 'nous', 'vous', 'ils', 'elles', 't', 'le', 'la', 'les',
+  'moi', 'toi', 'lui', 'leur', 'y', 'en', 'ce', 'ci', 'là', 'même', 'mêmes', 'être',
+]);
+
+const LIST_ITEM_PATTERN = /^\s*(?:[•◦▪▫‣⁃●○■□–—*-]\s|\(?\d{1,3}[.)]\s|\(?[a-z][.)]\s|\(?[ivx]{1,5}[.)]\s)/i;
+
+let dictionary = null;
+
+/**
+ * Clean text with the offline rules
+ * @param {string} text - Raw page text, lines separated by \n and paragraphs by blank lines
+ * @param {object} options - { language } code from language.js, default 'en'
+ * @returns {object} { text, segmentedWords, dehyphenatedWords }
+ */
+export function cleanTextWithRules(text, options = {}) {
+  const { language = 'en' } = options;
+  const stats = { segmentedWords: 0, dehyphenatedWords: 0 };
+
+  const normalized = normalizeCharacters(text);
+  const paragraphs = normalized
+    .split(/\n\s*\n/)
+    .map(paragraph => joinParagraphLines(paragraph, language, stats))
+    .filter(Boolean);
+
+  const cleaned = paragraphs
+    .map(paragraph => paragraph
+      .split('\n')
+      .map(line => segmentLine(line, language, stats))
+      .join('\n'))
+    .join('\n\n');
+
+  return { text: cleaned, ...stats };
+}
+
+/**
+ * Expand ligatures, drop soft hyphens and zero-width characters, and turn
+ * unusual spaces into plain ones
+ */
+function normalizeCharacters(text) {
+  return text
+    .replace(/[\uFB00-\uFB06]/g, char => LIGATURES[char])
+    .replace(/[\u00AD\u200B-\u200D\uFEFF]/g, '') // Soft hyphens, zero-width characters
+    .replace(/[\u00A0\u2000-\u200A\u202F\u205F\u3000\t]/g, ' ') // Non-breaking and other spaces
+    .replace(/\r\n?/g, '\n')
+    .replace(/ {2,}/g, ' ')
+    .replace(/ *\n */g, '\n');
+}
+
+/**
+ * Join the lines of one paragraph. Line breaks are kept before list items,
+ * around table rows and after lines that end short of the right margin;
+ * a short line that ends a sentence becomes a paragraph break
+ */
+function joinParagraphLines(paragraph, language, stats) {
+  const lines = paragraph.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) return '';
+
+  const longest = Math.max(...lines.map(line => line.length));
+  let result = lines[0];
+
+  for (let i = 1; i < lines.length; i++) {
+    const prev = lines[i - 1];
+    const line = lines[i];
+
+    const isTableRow = (text) => text.includes(' | ');
+    const endsShort = prev.length < longest * SHORT_LINE_RATIO;
+
+    if (LIST_ITEM_PATTERN.test(line) || isTableRow(prev) || isTableRow(line)) {
+      result += `\n${line}`;
+    } else if (endsShort) {
+      result += /[.!?:]["')\]]?$/.test(prev) ? `\n\n${line}` : `\n${line}`;
+    } else if (/\p{L}-$/u.test(prev) && /^\p{Ll}/u.test(line)) {
+      result = joinHyphenated(result, line, language, stats);
+    } else if (language === 'de' && /\p{L}-$/u.test(prev) && /^\p{Lu}/u.test(line)) {
+      // A capital after a line-end hyphen continues a German compound ("Nord-Süd")
+      result += line;
+    } else {
+      result += ` ${line}`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Join a line ending in a hyphen with the next line. In English the hyphen
+ * is dropped unless both halves are words and the joined word is not
+ * ("well-known"); in French it stays before pronouns and other words that
+ * follow a hyphen ("peut-être"), and German and Spanish drop it
+ */
+function joinHyphenated(text, nextLine, language, stats) {
+  const before = text.match(/(\p{L}+)-$/u)[1];
+  const after = nextLine.match(/^\p{L}+/u)[0];
+
+  let keepHyphen = false;
+  if (language === 'en') {
+    const { costs } = loadDictionary();
+    const joined = `${before}${after}`.toLowerCase();
+    keepHyphen = !costs.has(joined) && costs.has(before.toLowerCase()) && costs.has(after.toLowerCase());
+  } else if (language === 'fr') {
+    keepHyphen = FRENCH_HYPHENATED_WORDS.has(after.toLowerCase());
+  }
+
+  if (keepHyphen) return `${text}${nextLine}`;
+
+  stats.dehyphenatedWords++;
+  return `${text.slice(0, -1)}${nextLine}`;
+}
+
+/**
+ * Fix missing spaces in one line: after sentence punctuation followed by a
+ * capitalized word, and inside run-together words (English only). Words
+ * touching @, ., / or a digit are part of an email address, URL, file name
+ * or code and are never split
+ */
+function segmentLine(line, language, stats) {
+  const spaced = line.replace(/(\p{Ll}{2,})([.!?;:,])(\p{Lu}\p{Ll})/gu, '$1$2 $3');
+  if (!SEGMENTED_LANGUAGES.has(language)) return spaced;
+
+  return spaced
+    .replace(/\p{L}+/gu, (word, offset) => {
+      const before = spaced[offset - 1] ?? '';
+      const after = spaced[offset + word.length] ?? '';
+      if (/[@./\d]/.test(before + after)) return word;
+
+      const parts = segmentWord(word);
+      if (parts.length > 1) stats.segmentedWords++;
+      return parts.join(' ');
+    });
+}
+
+/**
+ * Split a run-together lowercase word into common words. Words that are in
+ * the dictionary, aren't all lowercase or can't be split entirely into
+ * common words of MIN_PART_LENGTH letters or more are returned unchanged
+ * @returns {string[]} The parts, or [word]
+ */
+function segmentWord(word) {
+  if (word.length < MIN_SEGMENT_LENGTH || !/^\p{Ll}+$/u.test(word)) return [word];
+
+  const { costs, commonCosts, maxLength } = loadDictionary();
+  if (costs.has(word)) return [word];
+
+  // Minimum-cost split (Zipf's law: cost grows with the log of a word's rank)
+  const best = [0];
+  const from = [0];
+  for (let end = 1; end <= word.length; end++) {
+    best[end] = Infinity;
+    for (let start = Math.max(0, end - maxLength); start <= end - MIN_PART_LENGTH; start++) {
+      const cost = commonCosts.get(word.slice(start, end));
+      if (cost !== undefined && best[start] + cost < best[end]) {
+        best[end] = best[start] + cost;
+        from[end] = start;
+      }
+    }
+  }
+
+  if (best[word.length] === Infinity) return [word];
+
+  const parts = [];
+  for (let end = word.length; end > 0; end = from[end]) {
+    parts.unshift(word.slice(from[end], end));
+  }
+
+  return parts;
+}
+
+/**
+ * Word costs from SUBTLEX-US, loaded on first use. commonCosts holds the
+ * COMMON_WORD_RANK most frequent words of MIN_PART_LENGTH letters or more,
+ * the only ones a word is split into
+ */
+function loadDictionary() {
+  if (dictionary) return dictionary;
+
+  const entries = require('subtlex-word-frequencies');
+  const words = entries
+    .map(entry => entry.word.toLowerCase())
+    .filter(word => /^\p{Ll}+$/u.test(word) && (word.length > 1 || word === 'a' || word === 'i'))
+    .filter(word => !CONTRACTION_FRAGMENTS.has(word));
+
+  const costs = new Map();
+  const logCount = Math.log(words.length);
+  words.forEach((word, rank) => {
+    if (!costs.has(word)) costs.set(word, Math.log((rank + 1) * logCount));
+  });
+
+  const commonCosts = new Map(
+    [...costs].slice(0, COMMON_WORD_RANK).filter(([word]) => word.length >= MIN_PART_LENGTH)
+  );
+
+  dictionary = {
+    costs,
+    commonCosts,
+    maxLength: Math.min(24, Math.max(...words.map(word => word.length))),
+  };
+
+  return dictionary;
+}
@@ -0,0 +1,150 @@
+/**
+ * Running header, footer and page-number detection across the pages of a
+ * document, for text lines returned by Document Engine /pages/text
+ *
+ * Candidates are the rows at the very top and bottom of each page that are
+ * set apart from the body by a clear gap. A candidate is a running line when
+ * the same text appears at about the same height on several pages. Digits
+ * are ignored when comparing text, so "Annual Report 2024 · 3" and
+ * "Annual Report 2024 · 4" match, and any page number ("7", "- 7 -",
+ * "Page 7 of 12", "vii") matches any other.
+ */
+import { median } from './layout.js';
+
+// At most this many rows at the top or bottom of a page can be running lines
+const MAX_MARGIN_ROWS = 3;
+
+// A margin row is separated from the body by a gap of at least this many line heights
+const MIN_MARGIN_GAP_RATIO = 1.5;
+
+// A line must repeat on this many pages (or every page of shorter documents,
+// but at least two) to count as running
+const MIN_RUNNING_PAGES = 3;
+
+// "7", "Page 7 of 12", "p. 7", "vii"
+const PAGE_NUMBER_PATTERN = /^(?:page\s+|p\.\s*)?(?:\d{1,4}|(?=[ivxlcdm])m{0,3}(?:c[md]|d?c{0,3})(?:x[cl]|l?x{0,3})(?:i[xv]|v?i{0,3}))(?:\s*(?:of|\/)\s*\d{1,4})?$/i;
+
+/**
+ * Find the running lines of a document
+ * @param {object[]} pagesData - [{ pageIndex, textLines }] from Document Engine
+ * @returns {Map} The running text lines (the objects in textLines) mapped to
+ *   their type: 'header', 'footer' or 'pageNumber'
+ */
+export function detectRunningLines(pagesData) {
+  const running = new Map();
+  const candidates = new Map();
+  let pagesWithText = 0;
+
+  for (const { pageIndex, textLines } of pagesData) {
+    const lines = textLines.filter(line => line.contents && line.contents.trim() !== '');
+    if (lines.length === 0) continue;
+    pagesWithText++;
+
+    for (const { line, zone } of marginLines(lines)) {
+      const key = `${zone}:${comparableText(line.contents)}`;
+      if (!candidates.has(key)) candidates.set(key, []);
+      candidates.get(key).push({ pageIndex, line, zone });
+    }
+  }
+
+  const minPages = Math.max(2, Math.min(MIN_RUNNING_PAGES, pagesWithText));
+
+  for (const entries of candidates.values()) {
+    // Only occurrences at about the same height count; the same text lower
+    // on the page is part of the body
+    const tolerance = Math.max(2, median(entries.map(({ line }) => line.height)));
+    const medianTop = median(entries.map(({ line }) => line.top));
+    const aligned = entries.filter(({ line }) => Math.abs(line.top - medianTop) <= tolerance);
+
+    if (new Set(aligned.map(({ pageIndex }) => pageIndex)).size < minPages) continue;
+
+    for (const { line, zone } of aligned) {
+      const type = isPageNumber(line.contents) ? 'pageNumber' : zone === 'top' ? 'header' : 'footer';
+      running.set(line, type);
+    }
+  }
+
+  return running;
+}
+
+/**
+ * Lines in the rows at the top and bottom of a page that are separated from
+ * the rest by a clear gap
+ * @returns {object[]} [{ line, zone: 'top' | 'bottom' }]
+ */
+function marginLines(lines) {
+  const rows = groupIntoRows(lines);
+  const lineHeight = median(lines.map(line => line.height));
+  const gapAfter = (index) => rows[index + 1].top - rows[index].bottom;
+
+  const margins = [];
+  const rowCount = Math.min(MAX_MARGIN_ROWS, rows.length - 1);
+
+  let topRows = 0;
+  for (let i = 0; i < rowCount; i++) {
+    if (gapAfter(i) >= lineHeight * MIN_MARGIN_GAP_RATIO) {
+      topRows = i + 1;
+      break;
+    }
+  }
+
+  let bottomRows = 0;
+  for (let i = 0; i < rowCount; i++) {
+    if (gapAfter(rows.length - 2 - i) >= lineHeight * MIN_MARGIN_GAP_RATIO) {
+      bottomRows = i + 1;
+      break;
+    }
+  }
+
+  rows.slice(0, topRows).forEach(row => {
+    row.lines.forEach(line => margins.push({ line, zone: 'top' }));
+  });
+  rows.slice(Math.max(topRows, rows.length - bottomRows)).forEach(row => {
+    row.lines.forEach(line => margins.push({ line, zone: 'bottom' }));
+  });
+
+  return margins;
+}
+
+/**
+ * Group lines sharing a baseline (e.g. a header with a title on the left and
+ * a date on the right) into rows, top to bottom
+ */
+function groupIntoRows(lines) {
+  const rows = [];
+  const sorted = [...lines].sort((a, b) => a.top - b.top);
+
+  for (const line of sorted) {
+    const row = rows[rows.length - 1];
+    if (row && line.top - row.top < Math.min(line.height, row.height) / 2) {
+      row.lines.push(line);
+      row.bottom = Math.max(row.bottom, line.top + line.height);
+    } else {
+      rows.push({ top: line.top, height: line.height, bottom: line.top + line.height, lines: [line] });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Text for comparing lines across pages: page numbers become one token,
+ * other numbers are ignored, case and spacing are normalized
+ */
+function comparableText(contents) {
+  if (isPageNumber(contents)) return '#page';
+
+  return contents
+    .trim()
+    .toLowerCase()
+    .replace(/\d+/g, '#')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Whether a line is only a page number, possibly decorated ("- 7 -", "[7]")
+ */
+function isPageNumber(contents) {
+  const text = contents.trim().replace(/^[\s\-–—[(|·•]+|[\s\-–—\])|·•]+$/g, '');
+  return PAGE_NUMBER_PATTERN.test(text);
+}
@@ -6,7 +6,27 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import multer from 'multer';
-import Anthropic from '@anthropic-ai/sdk';
+import { rateLimit, ipKeyGenerator } from 'express-rate-limit';
+import { analyzeLayout, median } from './layout.js';
+import { detectTables, interleaveTables } from './tables.js';
+import { detectRunningLines } from './runningLines.js';
+import { EXPORT_FORMATS, renderExport } from './exporters.js';
+import { createJob, getJob, cancelJob, serializeJob } from './jobs.js';
+import { extractionCacheKey, getCachedExtraction, setCachedExtraction } from './cache.js';
+import { createLimiter, retryWithBackoff } from './concurrency.js';
+import { verifyFidelity, mergeFidelity, describeFidelity } from './fidelity.js';
+import { cleanTextWithRules } from './ruleCleaner.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, resolveLanguage, detectLanguage } from './language.js';
+import { createProviders } from './providers.js';
+import { createAuth, parseList } from './auth.js';
+import {
+  registerDocument, canAccessDocument, listDocuments, removeDocument, getDocument, describeDocument,
+  extractionStarted, extractionFinished,
+} from './documents.js';
+import { SOURCE_TYPES, validateUpload, uploadError, uploadFilename } from './uploads.js';
+import {
+  getLatestCorrections, getCorrectionHistory, saveCorrection, revertCorrection, removeCorrections, correctPage,
+} from './corrections.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,24 +37,147 @@ dotenv.config({ path: path.resolve(__dirname, '../.env') });
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Origins browsers may call the API from (CORS_ORIGINS, comma-separated; * allows any)
+const CORS_ORIGINS = parseList(process.env.CORS_ORIGINS || 'http://localhost:5173');
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS }));
 app.use(express.json());
 
+// API key authentication for every /api route but sign-in (see auth.js); / and /health stay public
+const auth = createAuth(process.env);
+if (!auth.enabled) {
+  console.log('⚠ AUTH_DISABLED=true - API requests are not authenticated, do not expose this server');
+} else if (auth.configured) {
+  console.log(`✓ API key authentication enabled for ${auth.userCount} user(s)`);
+  if (!auth.persistentSessions) {
+    console.log('⚠ SESSION_SECRET not set - users have to sign in again after a restart');
+  }
+} else {
+  console.error('✗ No API_KEYS configured - all API requests will be refused (set AUTH_DISABLED=true for local development)');
+}
+console.log(`✓ CORS origins: ${CORS_ORIGINS.join(', ')}`);
+
+// Per-client rate limits: requests per RATE_LIMIT_WINDOW_MINUTES, 0 turns a
+// limit off. AI cleanup counts extractions and exports that use a provider;
+// sign-in attempts are counted per IP address
+const RATE_LIMIT_WINDOW_MINUTES = parseFloat(process.env.RATE_LIMIT_WINDOW_MINUTES || '15');
+const UPLOAD_RATE_LIMIT = parseInt(process.env.UPLOAD_RATE_LIMIT || '20', 10);
+const AI_CLEANUP_RATE_LIMIT = parseInt(process.env.AI_CLEANUP_RATE_LIMIT || '10', 10);
+const SIGN_IN_RATE_LIMIT = parseInt(process.env.SIGN_IN_RATE_LIMIT || '10', 10);
+const uploadRateLimit = clientRateLimit(UPLOAD_RATE_LIMIT, 'uploads');
+const aiCleanupRateLimit = clientRateLimit(AI_CLEANUP_RATE_LIMIT, 'AI cleanup requests', {
+  skip: (req) => !usesAICleanup(req),
+});
+const signInRateLimit = clientRateLimit(SIGN_IN_RATE_LIMIT, 'sign-in attempts', {
+  keyGenerator: (req) => `ip:${ipKeyGenerator(req.ip)}`,
+});
+
+/**
+ * Sign in with an API key and get a session token for the browser, so the
+ * frontend never holds a key of its own
+ * POST /api/session
+ * Body: { apiKey: string }
+ * Returns { token, user, admin, expiresAt }; send the token as
+ * Authorization: Bearer <token>. 401 for an unknown key
+ */
+app.post('/api/session', signInRateLimit, (req, res) => {
+  if (!auth.enabled) {
+    return res.json({ token: null, user: 'local', admin: true, expiresAt: null });
+  }
+  if (!auth.configured) {
+    return res.status(503).json({ error: 'Authentication is not configured on the server' });
+  }
+
+  const session = auth.createSession(req.body?.apiKey);
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  console.log(`✓ ${session.user} signed in`);
+  res.json(session);
+});
+
+app.use('/api', auth.authenticate);
+
+/**
+ * The signed-in user
+ * GET /api/session
+ * Returns { user, admin, expiresAt }; expiresAt is null for API keys and
+ * without authentication
+ */
+app.get('/api/session', (req, res) => {
+  res.json({ user: req.user.id, admin: req.user.admin, expiresAt: req.user.sessionExpiresAt ?? null });
+});
+
+// Upload limits: file size in MB and page count (checked once Document Engine has the file)
+const UPLOAD_MAX_MB = parseFloat(process.env.UPLOAD_MAX_MB || '50');
+const UPLOAD_MAX_PAGES = parseInt(process.env.UPLOAD_MAX_PAGES || '500', 10);
+
 // Configure multer for file uploads
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: 1 },
+});
 
-// Initialize Anthropic client for text cleanup
-let anthropic;
-if (process.env.ANTHROPIC_API_KEY && process.env.ANTHROPIC_API_KEY !== 'your_anthropic_api_key_here') {
-  anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-  });
-  console.log('✓ Anthropic API client initialized for text cleanup');
+// Initialize LLM providers for text cleanup (see providers.js)
+const aiProviders = createProviders(process.env);
+if (aiProviders.get()) {
+  const { name, defaultModel } = aiProviders.get();
+  console.log(`✓ AI providers initialized for text cleanup: ${aiProviders.list().map(provider => provider.name).join(', ')} (default: ${name}, ${defaultModel})`);
 } else {
-  console.log('⚠ Anthropic API key not configured - AI text cleanup will be unavailable');
+  console.log('⚠ No AI provider configured - AI text cleanup will be unavailable');
 }
 
+// Bump CLEANUP_PROMPT_VERSION when the cleanup prompt changes and
+// PIPELINE_VERSION when layout, table or paragraph processing changes so
+// cached extractions are recomputed
+const CLEANUP_PROMPT_VERSION = 3;
+const PIPELINE_VERSION = 13;
+
+// Cleanup applied to each page's plainText: none, the offline rule-based
+// cleaner (see ruleCleaner.js), AI cleanup, or the rules followed by AI
+const CLEANUP_MODES = ['none', 'rules', 'ai', 'rules+ai'];
+
+const DEFAULT_EXPORT_FORMAT = 'md';
+
+// Selected pages (see parsePageRanges) are fetched from Document Engine one
+// request per page, at most this many at once
+const PAGE_TEXT_CONCURRENCY = 4;
+
+// AI cleanup requests from all extractions share one limiter, so large or
+// concurrent documents queue instead of tripping the API rate limit.
+// Rate limits, overloads and server errors are retried with exponential backoff
+const AI_CONCURRENCY = parseInt(process.env.AI_CONCURRENCY || '4', 10);
+const AI_MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES || '3', 10);
+const AI_RETRY_BASE_DELAY_MS = parseInt(process.env.AI_RETRY_BASE_DELAY_MS || '1000', 10);
+const aiLimiter = createLimiter(AI_CONCURRENCY);
+
+// Cleaned text has to fit in AI_MAX_OUTPUT_TOKENS, so longer pages are
+// cleaned in chunks of at most AI_CHUNK_MAX_CHARS. Chunks whose output is
+// still truncated are halved down to AI_MIN_SPLIT_CHARS
+const AI_MAX_OUTPUT_TOKENS = 4096;
+const AI_CHUNK_MAX_CHARS = parseInt(process.env.AI_CHUNK_MAX_CHARS || '8000', 10);
+const AI_MIN_SPLIT_CHARS = 2000;
+
+// Cleaned text is compared with its input (see fidelity.js). Chunks scoring
+// below FIDELITY_MIN_SCORE, or with changed numbers or placeholder text, are
+// rejected (FIDELITY_ACTION=reject) or kept and flagged (FIDELITY_ACTION=flag)
+const FIDELITY_MIN_SCORE = parseFloat(process.env.FIDELITY_MIN_SCORE || '0.95');
+const FIDELITY_ACTION = process.env.FIDELITY_ACTION === 'flag' ? 'flag' : 'reject';
+
+// OCR for pages without a text layer (scans, photos): pages with fewer than
+// OCR_MIN_TEXT_CHARS non-space characters are recognized by Document Engine
+// in OCR_LANGUAGE, or in the requested cleanup language
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'english';
+const OCR_MIN_TEXT_CHARS = parseInt(process.env.OCR_MIN_TEXT_CHARS || '10', 10);
+
+// Permissions and layers JWTs may grant (comma-separated). Requests can ask
+// for fewer permissions, never others; the first layer is the default
+const JWT_ALLOWED_PERMISSIONS = parseList(process.env.JWT_ALLOWED_PERMISSIONS || 'read-document,write,download');
+const JWT_ALLOWED_LAYERS = parseList(process.env.JWT_ALLOWED_LAYERS || 'default');
+
 // Load JWT private key
 let privateKey;
 try {
@@ -48,17 +191,32 @@ try {
 
 /**
  * Generate a JWT token for Document Engine authentication
+ * layer and permissions must be in JWT_ALLOWED_LAYERS and
+ * JWT_ALLOWED_PERMISSIONS; anything else throws an Error with status 400
+ * (malformed) or 403 (not allowed)
  * @param {string} documentId - The document ID in Document Engine
  * @param {object} options - Additional JWT options
  * @returns {string} JWT token
  */
 function generateJWT(documentId, options = {}) {
   const {
-    layer = 'default',
-    permissions = ['read-document', 'write', 'download'],
+    layer = JWT_ALLOWED_LAYERS[0],
+    permissions = JWT_ALLOWED_PERMISSIONS,
     expiresIn = '1h',
   } = options;
 
+  if (typeof layer !== 'string' || !Array.isArray(permissions) || permissions.length === 0 ||
+      permissions.some(permission => typeof permission !== 'string')) {
+    throw jwtGrantError('layer must be a string and permissions a non-empty array of strings', 400);
+  }
+  if (!JWT_ALLOWED_LAYERS.includes(layer)) {
+    throw jwtGrantError(`Layer "${layer}" is not allowed`, 403);
+  }
+  const deniedPermissions = permissions.filter(permission => !JWT_ALLOWED_PERMISSIONS.includes(permission));
+  if (deniedPermissions.length > 0) {
+    throw jwtGrantError(`Permissions not allowed: ${deniedPermissions.join(', ')}`, 403);
+  }
+
   const payload = {
     document_id: documentId,
     layer,
@@ -73,6 +231,90 @@ function generateJWT(documentId, options = {}) {
   return token;
 }
 
+function jwtGrantError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Let a request through only if its user may access the :documentId document
+ * (see documents.js). Other users' documents get the same 404 as documents
+ * that don't exist, so document ids can't be probed
+ */
+async function requireDocumentAccess(req, res, next) {
+  try {
+    if (!await canAccessDocument(req.params.documentId, req.user)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Rate limit per client: per user with authentication, per IP address without
+ * Limited requests get 429 with code RATE_LIMITED and Retry-After
+ * @param {number} limit - Requests per RATE_LIMIT_WINDOW_MINUTES; 0 turns the limit off
+ * @param {string} what - What is limited, for the error message
+ * @param {object} options - Further express-rate-limit options, e.g. skip
+ */
+function clientRateLimit(limit, what, options = {}) {
+  if (limit <= 0) return (req, res, next) => next();
+
+  return rateLimit({
+    windowMs: RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+    limit,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    keyGenerator: (req) => (auth.enabled ? `user:${req.user.id}` : `ip:${ipKeyGenerator(req.ip)}`),
+    handler: (req, res) => {
+      const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+      res.status(429).json({
+        error: `Too many ${what}, try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+        code: 'RATE_LIMITED',
+        retryAfter,
+      });
+    },
+    ...options,
+  });
+}
+
+/**
+ * Whether an extract or export request will clean text with an AI provider
+ */
+function usesAICleanup(req) {
+  const params = req.method === 'GET' ? req.query : req.body;
+  // Exports (the GET route) only clean formats that contain plainText
+  if (req.method === 'GET' && !EXPORT_FORMATS[params.format || DEFAULT_EXPORT_FORMAT]?.cleaned) return false;
+
+  const { error, cleanup, provider } = parseCleanupOptions(params);
+  return !error && cleanup.includes('ai') && !!provider;
+}
+
+/**
+ * Parse the uploaded file; multer's size and field errors become upload
+ * errors (see uploads.js)
+ */
+function receiveUpload(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) return next(error);
+
+    const rejected = error.code === 'LIMIT_FILE_SIZE'
+      ? uploadError(413, 'FILE_TOO_LARGE', `The file is larger than ${UPLOAD_MAX_MB} MB`)
+      : uploadError(400, 'INVALID_UPLOAD', `${error.message}; send one file in the "file" field`);
+    res.status(rejected.status).json({ error: rejected.message, code: rejected.code });
+  });
+}
+
+/**
+ * Whether a user may see or cancel a job: its owner and admins can
+ */
+function canAccessJob(job, user) {
+  return user.admin || job.owner === user.id;
+}
+
 /**
  * Root endpoint
  */
@@ -83,14 +325,32 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       health: 'GET /health',
+      session: 'GET|POST /api/session',
       jwt: 'POST /api/jwt',
+      documents: 'GET /api/documents',
       upload: 'POST /api/documents/upload',
-      extract: 'POST /api/documents/:documentId/extract (with optional AI cleanup)',
+      deleteDocument: 'DELETE /api/documents/:documentId',
+      extract: 'POST /api/documents/:documentId/extract (starts a job, with optional rule-based or AI cleanup)',
+      job: 'GET /api/jobs/:jobId',
+      cancelJob: 'POST /api/jobs/:jobId/cancel',
+      extractStream: 'POST /api/documents/:documentId/extract/stream (NDJSON, one event per finished page)',
+      export: 'GET /api/documents/:documentId/export?format=md|html|txt|json|hocr|alto',
+      corrections: 'GET /api/documents/:documentId/corrections',
+      pageCorrections: 'GET|POST /api/documents/:documentId/pages/:pageIndex/corrections',
+      revertCorrections: 'POST /api/documents/:documentId/pages/:pageIndex/corrections/revert',
       demoJwt: 'GET /api/demo-jwt',
     },
     features: {
       jwtKeysLoaded: !!privateKey,
-      aiCleanupAvailable: !!anthropic,
+      authRequired: auth.enabled,
+      uploadLimits: { maxMB: UPLOAD_MAX_MB, maxPages: UPLOAD_MAX_PAGES },
+      uploadTypes: Object.keys(SOURCE_TYPES),
+      aiCleanupAvailable: !!aiProviders.get(),
+      aiProviders: aiProviders.list(),
+      cleanupModes: CLEANUP_MODES,
+      languages: ['auto', ...Object.keys(LANGUAGES)],
+      diskCacheEnabled: !!process.env.EXTRACTION_CACHE_DIR,
+      ocr: OCR_ENABLED ? { language: OCR_LANGUAGE, minTextChars: OCR_MIN_TEXT_CHARS } : null,
     },
   });
 });
@@ -108,11 +368,13 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * Get JWT token for a document
+ * Get JWT token for a document the user uploaded
  * POST /api/jwt
  * Body: { documentId: string, layer?: string, permissions?: string[] }
+ * layer and permissions default to, and must be within, JWT_ALLOWED_LAYERS
+ * and JWT_ALLOWED_PERMISSIONS
  */
-app.post('/api/jwt', (req, res) => {
+app.post('/api/jwt', async (req, res) => {
   try {
     const { documentId, layer, permissions } = req.body;
 
@@ -120,11 +382,27 @@ app.post('/api/jwt', (req, res) => {
       return res.status(400).json({ error: 'documentId is required' });
     }
 
+    if (!await canAccessDocument(documentId, req.user)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
     if (!privateKey) {
       return res.status(500).json({ error: 'JWT private key not configured' });
     }
 
-    const token = generateJWT(documentId, { layer, permissions });
+    let token;
+    try {
+      token = generateJWT(documentId, { layer, permissions });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        error: error.message,
+        allowedLayers: JWT_ALLOWED_LAYERS,
+        allowedPermissions: JWT_ALLOWED_PERMISSIONS,
+      });
+    }
+
+    console.log(`✓ JWT issued to ${req.user.id} for ${documentId}`);
 
     res.json({
       jwt: token,
@@ -135,256 +413,1798 @@ app.post('/api/jwt', (req, res) => {
     console.error('Error generating JWT:', error);
     res.status(500).json({ error: 'Failed to generate JWT' });
   }
-});
+});
+
+/**
+ * List the documents the user uploaded; admins get every registered document
+ * GET /api/documents
+ * Returns { documents: [{ documentId, owner, filename, sourceType, size, pageCount,
+ * uploadedAt, extraction: { status, pagesExtracted, extractedAt, error } }] },
+ * most recently uploaded first (see describeDocument in documents.js)
+ */
+app.get('/api/documents', async (req, res) => {
+  try {
+    res.json({ documents: await listDocuments(req.user) });
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    res.status(500).json({ error: 'Failed to list documents' });
+  }
+});
+
+/**
+ * Upload a document to Document Engine
+ * POST /api/documents/upload
+ * Body: multipart/form-data with 'file' field: a PDF, a JPEG, PNG or TIFF
+ * image or a DOCX file. Images and DOCX files are converted to PDF first.
+ * Files over UPLOAD_MAX_MB or UPLOAD_MAX_PAGES, other file types and
+ * encrypted or damaged PDFs are rejected with { error, code } (see uploads.js)
+ */
+app.post('/api/documents/upload', uploadRateLimit, receiveUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      throw uploadError(400, 'FILE_MISSING', 'No file uploaded');
+    }
+
+    if (!privateKey) {
+      return res.status(500).json({ error: 'JWT private key not configured' });
+    }
+
+    const filename = uploadFilename(req.file);
+    const sourceType = validateUpload(req.file.buffer);
+
+    // Images and Office documents are stored as the PDF Document Engine converts them to
+    const pdf = sourceType === 'pdf'
+      ? req.file.buffer
+      : await convertToPdf(req.file.buffer, sourceType);
+
+    let documentId;
+    try {
+      documentId = await storeInEngine(pdf);
+    } catch (error) {
+      if ([400, 415, 422].includes(error.status)) {
+        throw uploadError(422, 'PDF_MALFORMED', 'Document Engine could not open the PDF');
+      }
+      throw error;
+    }
+
+    // The page count is only known once Document Engine has parsed the file;
+    // documents that are rejected now are removed again
+    let pageCount;
+    try {
+      pageCount = await fetchPageCount(documentId);
+    } catch (error) {
+      await deleteEngineDocument(documentId);
+      throw error;
+    }
+
+    if (!pageCount || pageCount > UPLOAD_MAX_PAGES) {
+      await deleteEngineDocument(documentId);
+      throw pageCount
+        ? uploadError(422, 'TOO_MANY_PAGES', `The PDF has ${pageCount} pages; at most ${UPLOAD_MAX_PAGES} are allowed`)
+        : uploadError(422, 'PDF_MALFORMED', 'The PDF has no pages');
+    }
+
+    // Only the uploader (and admins) can get tokens for the document
+    await registerDocument(documentId, {
+      owner: req.user.id,
+      filename,
+      sourceType,
+      size: req.file.size,
+      pageCount,
+    });
+
+    // Generate JWT for the uploaded document
+    const token = generateJWT(documentId);
+
+    console.log(`✓ Document uploaded by ${req.user.id}: ${documentId} (${filename}, ${SOURCE_TYPES[sourceType].name}, ${pageCount} pages)`);
+
+    res.json({
+      documentId,
+      jwt: token,
+      documentEngineUrl: process.env.DOCUMENT_ENGINE_URL,
+      filename,
+      sourceType,
+      size: req.file.size,
+      pageCount,
+    });
+  } catch (error) {
+    if (error.code && error.status) {
+      console.log(`✗ Upload rejected (${error.code}): ${error.message}`);
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error uploading document:', error);
+    res.status(500).json({
+      error: 'Failed to upload document',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Delete a document from Document Engine and the document registry
+ * DELETE /api/documents/:documentId
+ * Returns the deleted document's registry entry, or 502 if Document Engine
+ * couldn't delete it (the document is then kept)
+ */
+app.delete('/api/documents/:documentId', requireDocumentAccess, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const document = await getDocument(documentId);
+
+    if (!await deleteEngineDocument(documentId)) {
+      return res.status(502).json({ error: 'Document Engine could not delete the document' });
+    }
+    await removeDocument(documentId);
+    await removeCorrections(documentId);
+
+    console.log(`✓ Document deleted by ${req.user.id}: ${documentId}`);
+
+    res.json({ deleted: true, document: document ? describeDocument(document) : { documentId } });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({ error: 'Failed to delete document', details: error.message });
+  }
+});
+
+/**
+ * Extract structured text from a document using /pages/text endpoint
+ * POST /api/documents/:documentId/extract
+ * Starts a background extraction job and returns its id immediately (202).
+ * Poll GET /api/jobs/:jobId for progress and the result: clean text with
+ * paragraphs and bounding boxes, with reviewers' corrections applied unless
+ * the body has corrections: false
+ */
+app.post('/api/documents/:documentId/extract', requireDocumentAccess, aiCleanupRateLimit, async (req, res) => {
+  const { documentId } = req.params;
+  const { includeLines = false } = req.body; // Line boxes per paragraph and table
+  const { keepHeadersFooters = false } = req.body; // Keep running headers, footers and page numbers in the text
+  const { force = false } = req.body; // Skip the extraction cache
+  const { corrections = true } = req.body; // Apply reviewers' corrections
+  const { error: invalidOptions, ...cleanupOptions } = parseCleanupOptions(req.body); // cleanup, provider, model
+  const { error: invalidPages, pages } = parsePageRanges(req.body);
+  const { error: invalidLanguage, language } = parseLanguage(req.body);
+
+  if (invalidOptions || invalidPages || invalidLanguage) {
+    return res.status(400).json(invalidOptions || invalidPages || invalidLanguage);
+  }
+
+  const { error: missingPages } = await checkPageRanges(documentId, pages);
+  if (missingPages) {
+    return res.status(400).json(missingPages);
+  }
+
+  console.log(`Extracting text from document: ${documentId} (${describeCleanupOptions(cleanupOptions)}, language: ${language}, pages: ${describePageRanges(pages)})`);
+
+  const job = createJob({
+    type: 'extract',
+    documentId,
+    owner: req.user.id,
+    run: async ({ signal, setPageCount, pageCompleted, pageError }) => {
+      const result = await extractAndRecord(documentId, {
+        ...cleanupOptions,
+        language,
+        pages,
+        includeLines,
+        keepHeadersFooters,
+        force,
+        signal,
+        onPageCount: setPageCount,
+        onPageComplete: pageCompleted,
+        onPageError: pageError,
+      });
+      return corrections ? correctExtraction(result, await getLatestCorrections(documentId)) : result;
+    },
+  });
+
+  res.status(202).json({
+    ...serializeJob(job),
+    statusUrl: `/api/jobs/${job.id}`,
+  });
+});
+
+/**
+ * Extract structured text and stream each page as soon as it is processed
+ * POST /api/documents/:documentId/extract/stream
+ * Body: same as /extract
+ * Responds with NDJSON (one JSON event per line):
+ *   { type: 'start', documentId, pageCount, documentPageCount, pageIndexes }
+ *   { type: 'page', page }                  - in completion order, not page order, corrected (see correctPage)
+ *   { type: 'pageError', pageIndex, message }
+ *   { type: 'done', documentId, pageCount, documentPageCount, pageIndexes, language, ocrPages, correctedPages,
+ *     cleanup, provider, model, aiCleaned, cache }
+ *   { type: 'error', error, details }
+ * Closing the connection aborts outstanding AI requests
+ */
+app.post('/api/documents/:documentId/extract/stream', requireDocumentAccess, aiCleanupRateLimit, async (req, res) => {
+  const { documentId } = req.params;
+  const { includeLines = false } = req.body; // Line boxes per paragraph and table
+  const { keepHeadersFooters = false } = req.body; // Keep running headers, footers and page numbers in the text
+  const { force = false } = req.body; // Skip the extraction cache
+  const { corrections = true } = req.body; // Apply reviewers' corrections
+  const { error: invalidOptions, ...cleanupOptions } = parseCleanupOptions(req.body); // cleanup, provider, model
+  const { error: invalidPages, pages } = parsePageRanges(req.body);
+  const { error: invalidLanguage, language } = parseLanguage(req.body);
+
+  if (invalidOptions || invalidPages || invalidLanguage) {
+    return res.status(400).json(invalidOptions || invalidPages || invalidLanguage);
+  }
+
+  const { error: missingPages } = await checkPageRanges(documentId, pages);
+  if (missingPages) {
+    return res.status(400).json(missingPages);
+  }
+
+  console.log(`Streaming text extraction for document: ${documentId} (${describeCleanupOptions(cleanupOptions)}, language: ${language}, pages: ${describePageRanges(pages)})`);
+
+  res.set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log(`Stream for ${documentId} closed by client, aborting`);
+      controller.abort();
+    }
+  });
+
+  const send = (event) => res.write(JSON.stringify(event) + '\n');
+
+  try {
+    const pageCorrections = corrections ? await getLatestCorrections(documentId) : {};
+    const correctedPages = [];
+
+    const result = await extractAndRecord(documentId, {
+      ...cleanupOptions,
+      language,
+      pages,
+      includeLines,
+      keepHeadersFooters,
+      force,
+      signal: controller.signal,
+      onPageCount: (pageCount, scope) => send({ type: 'start', documentId, pageCount, ...scope }),
+      onPageComplete: (pageIndex, page) => {
+        const corrected = correctPage(page, pageCorrections[pageIndex]);
+        if (isCorrected(corrected)) correctedPages.push(pageIndex);
+        send({ type: 'page', page: corrected });
+      },
+      onPageError: (pageIndex, message) => send({ type: 'pageError', pageIndex, message }),
+    });
+
+    send({
+      type: 'done',
+      documentId,
+      pageCount: result.pageCount,
+      documentPageCount: result.documentPageCount,
+      pageIndexes: result.pageIndexes,
+      language: result.language,
+      ocrPages: result.ocrPages,
+      correctedPages: correctedPages.sort((a, b) => a - b),
+      cleanup: result.cleanup,
+      provider: result.provider,
+      model: result.model,
+      aiCleaned: result.aiCleaned,
+      cache: result.cache,
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+
+    console.error('Error streaming extracted text:', error);
+    send({ type: 'error', error: 'Failed to extract text', details: error.message });
+  }
+
+  res.end();
+});
+
+/**
+ * Get the state of a background job
+ * GET /api/jobs/:jobId
+ * Returns state, page progress, per-page errors and, once completed, the result.
+ * Only the user who started the job (or an admin) can see it
+ */
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job || !canAccessJob(job, req.user)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(serializeJob(job));
+});
+
+/**
+ * Cancel a queued or running job
+ * POST /api/jobs/:jobId/cancel
+ */
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+  const existing = getJob(req.params.jobId);
+
+  if (!existing || !canAccessJob(existing, req.user)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const job = cancelJob(existing.id);
+
+  console.log(`Job ${job.id} cancel requested (state: ${job.state})`);
+
+  res.json(serializeJob(job));
+});
+
+/**
+ * Export a document's extracted text as Markdown, HTML, plain text, JSON,
+ * or coordinate-preserving hOCR / ALTO XML
+ * GET /api/documents/:documentId/export?format=md|html|txt|json|hocr|alto&cleanup=rules&language=de&pages=1-5,9&keepHeadersFooters=true&force=true&rejectedPages=0,2
+ * Responds with a file download in the requested format; X-Extraction-Cache
+ * tells whether the extraction came from the cache. pages limits the export
+ * to a page range (see parsePageRanges). rejectedPages lists page indexes
+ * whose cleaned text a reviewer rejected; they use the raw text. Markdown,
+ * HTML, hOCR and ALTO don't contain the cleaned text, so they are extracted
+ * without cleanup. Reviewers' corrections are applied unless
+ * corrections=false; hOCR and ALTO are built from the lines and leave them out
+ */
+app.get('/api/documents/:documentId/export', requireDocumentAccess, aiCleanupRateLimit, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { format = DEFAULT_EXPORT_FORMAT } = req.query;
+    const force = req.query.force === 'true';
+    const keepHeadersFooters = req.query.keepHeadersFooters === 'true';
+    const corrections = req.query.corrections !== 'false';
+    const { error: invalidOptions, ...requestedOptions } = parseCleanupOptions(req.query);
+    const { error: invalidPages, pages: pageRanges } = parsePageRanges(req.query);
+    const { error: invalidLanguage, language } = parseLanguage(req.query);
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Unsupported format "${format}"`,
+        supportedFormats: Object.keys(EXPORT_FORMATS),
+      });
+    }
+
+    if (invalidOptions || invalidPages || invalidLanguage) {
+      return res.status(400).json(invalidOptions || invalidPages || invalidLanguage);
+    }
+
+    // Formats without plainText skip cleanup rather than pay for output they
+    // leave out. hOCR and ALTO are built from the original line text and
+    // boxes, so they also keep every line and need the page sizes
+    const { coordinates = false, cleaned = false } = EXPORT_FORMATS[format];
+    const cleanupOptions = cleaned
+      ? requestedOptions
+      : { cleanup: 'none', provider: null, model: null };
+
+    console.log(`Exporting document: ${documentId} as ${format} (${describeCleanupOptions(cleanupOptions)})`);
+
+    const extraction = await extractAndRecord(documentId, {
+      ...cleanupOptions,
+      language,
+      pages: pageRanges,
+      includeLines: coordinates,
+      keepHeadersFooters: coordinates || keepHeadersFooters,
+      force,
+    });
+    const { extractedText, pageCount, cache } = corrections && !coordinates
+      ? correctExtraction(extraction, await getLatestCorrections(documentId))
+      : extraction;
+    const pageSizes = coordinates ? await fetchPageSizes(documentId) : null;
+
+    // Pages whose cleanup a reviewer rejected are exported with their raw text
+    const rejectedPages = new Set(String(req.query.rejectedPages || '')
+      .split(',')
+      .filter(Boolean)
+      .map(Number));
+    const pages = extractedText.pages.map(page => (
+      rejectedPages.has(page.pageIndex) ? { ...page, plainText: page.rawText, review: 'rejected' } : page
+    ));
+
+    const { body, contentType, filename } = renderExport(format, {
+      documentId,
+      extractedText: { ...extractedText, pages },
+      pageSizes,
+    });
+
+    console.log(`✓ Exported ${documentId}: ${pageCount} pages as ${format}`);
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('X-Extraction-Cache', cache.hit ? 'hit' : 'miss');
+    res.send(body);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Error exporting document:', error);
+    res.status(500).json({
+      error: 'Failed to export document',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * The latest corrections of every corrected page of a document
+ * GET /api/documents/:documentId/corrections
+ * Returns { documentId, pages: [{ pageIndex, version, author, createdAt,
+ * revertedFrom, paragraphs, plainText }] } (see corrections.js)
+ */
+app.get('/api/documents/:documentId/corrections', requireDocumentAccess, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const latest = await getLatestCorrections(documentId);
+
+    res.json({
+      documentId,
+      pages: Object.entries(latest)
+        .filter(([, version]) => version)
+        .map(([pageIndex, version]) => ({ pageIndex: Number(pageIndex), ...version })),
+    });
+  } catch (error) {
+    console.error('Error reading corrections:', error);
+    res.status(500).json({ error: 'Failed to read corrections' });
+  }
+});
+
+/**
+ * Correction history of a page
+ * GET /api/documents/:documentId/pages/:pageIndex/corrections
+ * pageIndex is 0-based. Returns { documentId, pageIndex, versions }, oldest
+ * first; each version has its author, createdAt, the corrected texts with
+ * their word diff against the machine output, and revertedFrom when it
+ * restored an earlier version
+ */
+app.get('/api/documents/:documentId/pages/:pageIndex/corrections', requireDocumentAccess, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { error: invalidPage, pageIndex } = await parsePageIndex(req.params);
+
+    if (invalidPage) {
+      return res.status(invalidPage.status).json({ error: invalidPage.error });
+    }
+
+    res.json({ documentId, pageIndex, versions: await getCorrectionHistory(documentId, pageIndex) });
+  } catch (error) {
+    console.error('Error reading correction history:', error);
+    res.status(500).json({ error: 'Failed to read correction history' });
+  }
+});
+
+/**
+ * Save corrections of a page as a new version
+ * POST /api/documents/:documentId/pages/:pageIndex/corrections
+ * Body: {
+ *   baseVersion: number,  // the page's correction.version when the reviewer started editing, 0 if none
+ *   paragraphs?: [{ index, text, machineText }],
+ *   plainText?: { text, machineText } | null,
+ * }
+ * machineText is the extracted text being corrected (a corrected paragraph's
+ * machineText); a text equal to it, or plainText: null, removes the
+ * correction. Returns 201 with { documentId, pageIndex, version }, or 409
+ * with latestVersion when someone saved a newer version in the meantime
+ */
+app.post('/api/documents/:documentId/pages/:pageIndex/corrections', requireDocumentAccess, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { error: invalidPage, pageIndex } = await parsePageIndex(req.params);
+    const { error: invalidCorrection, ...changes } = parseCorrection(req.body);
+
+    if (invalidPage) {
+      return res.status(invalidPage.status).json({ error: invalidPage.error });
+    }
+    if (invalidCorrection) {
+      return res.status(400).json(invalidCorrection);
+    }
+
+    const version = await saveCorrection(documentId, pageIndex, changes, req.user.id);
+
+    console.log(`✓ Corrections of ${documentId} page ${pageIndex + 1} saved by ${req.user.id} (version ${version.version})`);
+
+    res.status(201).json({ documentId, pageIndex, version });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message, latestVersion: error.latestVersion });
+    }
+
+    console.error('Error saving corrections:', error);
+    res.status(500).json({ error: 'Failed to save corrections', details: error.message });
+  }
+});
+
+/**
+ * Revert a page's corrections to an earlier version
+ * POST /api/documents/:documentId/pages/:pageIndex/corrections/revert
+ * Body: { version, baseVersion? } - version 0 restores the machine output.
+ * The restored version is saved as a new version, so the history is kept.
+ * Returns 201 with { documentId, pageIndex, version }; 404 for a version
+ * that doesn't exist, 409 like saving
+ */
+app.post('/api/documents/:documentId/pages/:pageIndex/corrections/revert', requireDocumentAccess, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { version: restore, baseVersion } = req.body;
+    const { error: invalidPage, pageIndex } = await parsePageIndex(req.params);
+
+    if (invalidPage) {
+      return res.status(invalidPage.status).json({ error: invalidPage.error });
+    }
+    if (!isVersionNumber(restore) || (baseVersion !== undefined && !isVersionNumber(baseVersion))) {
+      return res.status(400).json({ error: 'version and baseVersion must be version numbers (0 for the machine output)' });
+    }
+
+    const version = await revertCorrection(documentId, pageIndex, restore, req.user.id, baseVersion);
+
+    console.log(`✓ Corrections of ${documentId} page ${pageIndex + 1} reverted to version ${restore} by ${req.user.id}`);
+
+    res.status(201).json({ documentId, pageIndex, version });
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ error: error.message, latestVersion: error.latestVersion });
+    }
+
+    console.error('Error reverting corrections:', error);
+    res.status(500).json({ error: 'Failed to revert corrections', details: error.message });
+  }
+});
+
+/**
+ * extractDocument, recording in the document registry that the document is
+ * being extracted and, when it ends, which pages were extracted or why it
+ * failed (see documents.js). Cancelled extractions and invalid page ranges
+ * aren't recorded
+ */
+async function extractAndRecord(documentId, options = {}) {
+  extractionStarted(documentId);
+  try {
+    const result = await extractDocument(documentId, options);
+    await extractionFinished(documentId, result);
+    return result;
+  } catch (error) {
+    const recorded = !options.signal?.aborted && error.status !== 400;
+    await extractionFinished(documentId, recorded ? { error: error.message } : null);
+    throw error;
+  }
+}
+
+/**
+ * An extraction result with the latest corrections applied to its pages
+ * (see correctPage in corrections.js) and correctedPages listing the pages
+ * that have corrections
+ * @param {object} result - extractDocument result
+ * @param {object} corrections - getLatestCorrections of the document
+ */
+function correctExtraction(result, corrections) {
+  const pages = result.extractedText.pages.map(page => correctPage(page, corrections[page.pageIndex]));
+
+  return {
+    ...result,
+    extractedText: { ...result.extractedText, pages },
+    correctedPages: pages.filter(isCorrected).map(({ pageIndex }) => pageIndex),
+  };
+}
+
+// A page can have correction versions that restored the machine output
+function isCorrected(page) {
+  return !!page.correction && (page.correction.paragraphs.length > 0 || page.correction.plainText);
+}
+
+/**
+ * Fetch a document's text from Document Engine and process it
+ * Shared by the extract job, the streaming extract route and export.
+ * Results are cached (see cache.js) unless a page fell back to raw text;
+ * pass force to skip the lookup and recompute. Pages missing from the cache
+ * as a range are served from earlier extractions of other ranges when all of
+ * them were cached with the same options (see assembleCachedPages). Cache
+ * hits replay onPageCount/onPageComplete so progress callbacks behave the
+ * same.
+ * pages (see parsePageRanges) limits extraction to those pages; only they
+ * are fetched from Document Engine and cleaned. A page past the end of the
+ * document throws an Error with status 400. language ('auto' or a code from
+ * language.js) selects the cleanup language, see processTextLines, and the
+ * OCR language for pages without text, see recognizeMissingText
+ * @param {string} documentId - The document ID in Document Engine
+ * @param {object} options - processTextLines options plus pages, force and
+ *   onPageCount(count, { documentPageCount, pageIndexes }), with provider and
+ *   model (see parseCleanupOptions) in place of ai
+ * @returns {Promise<object>} { documentId, extractedText, pageCount, documentPageCount, pageIndexes,
+ *   language, ocrPages, cleanup, provider, model, aiCleaned, cache }
+ *   pageCount: pages extracted; documentPageCount: pages in the document;
+ *   pageIndexes: the extracted pages, or null for all;
+ *   ocrPages: the pages whose text was recognized with OCR
+ *   cache: { hit, source?: 'memory' | 'disk', cachedAt }
+ */
+async function extractDocument(documentId, options = {}) {
+  const {
+    cleanup = 'none',
+    provider = null,
+    model = null,
+    language = 'auto',
+    pages = null,
+    force = false,
+    signal,
+    onPageCount,
+    onPageComplete,
+    onPageError,
+    ...processOptions
+  } = options;
+  const aiCleaned = cleanup.includes('ai') && !!provider;
+  const ocrLanguage = language !== 'auto' ? LANGUAGES[language].ocrLanguage : OCR_LANGUAGE;
+
+  const cacheOptions = {
+    documentId,
+    cleanup,
+    provider: aiCleaned ? provider : null,
+    model: aiCleaned ? model : null,
+    promptVersion: aiCleaned ? CLEANUP_PROMPT_VERSION : null,
+    fidelity: aiCleaned ? `${FIDELITY_ACTION}:${FIDELITY_MIN_SCORE}` : null,
+    language,
+    ocr: OCR_ENABLED ? `${ocrLanguage}:${OCR_MIN_TEXT_CHARS}` : 'off',
+    pipelineVersion: PIPELINE_VERSION,
+    includeLines: !!processOptions.includeLines,
+    keepHeadersFooters: !!processOptions.keepHeadersFooters,
+  };
+  const cacheKey = extractionCacheKey({ ...cacheOptions, pages: pages ? describePageRanges(pages) : 'all' });
+  // Every page extracted with these options, whichever range it was extracted in
+  const pagesKey = extractionCacheKey({ ...cacheOptions, pages: 'each' });
+
+  if (!force) {
+    const cached = await getCachedExtraction(cacheKey) ?? await assembleCachedPages(pagesKey, pages, {
+      documentId,
+      language,
+      cleanup,
+      provider: aiCleaned ? provider : null,
+      model: aiCleaned ? model : null,
+      aiCleaned,
+    });
+    if (cached) {
+      const { documentPageCount, pageIndexes } = cached.value;
+      const cachedPages = cached.value.extractedText.pages;
+      onPageCount?.(cachedPages.length, { documentPageCount, pageIndexes });
+      cachedPages.forEach(page => onPageComplete?.(page.pageIndex, page));
+
+      console.log(`✓ Extraction cache hit for ${documentId} (${cached.source}, cached ${cached.cachedAt})`);
+
+      return {
+        ...cached.value,
+        cache: { hit: true, source: cached.source, cachedAt: cached.cachedAt },
+      };
+    }
+  }
+
+  // The page count is only needed to resolve ranges; /pages/text returns every page
+  const documentPageCount = pages ? await fetchPageCount(documentId, { signal }) : null;
+  const pageIndexes = pages ? resolvePageRanges(pages, documentPageCount) : null;
+
+  const textLayerData = await fetchPagesText(documentId, { signal, pageIndexes });
+  const scope = { documentPageCount: documentPageCount ?? textLayerData.length, pageIndexes };
+  onPageCount?.(textLayerData.length, scope);
+
+  // Scans and photos have no text layer; their text comes from OCR
+  const pagesData = OCR_ENABLED
+    ? await recognizeMissingText(documentId, textLayerData, { language: ocrLanguage, signal })
+    : textLayerData;
+  const ocrPages = pagesData.filter(({ ocr }) => ocr?.status === 'recognized').map(({ pageIndex }) => pageIndex);
+
+  let fallbackPages = 0;
+  pagesData.filter(({ ocr }) => ocr?.status === 'failed').forEach(({ pageIndex, ocr }) => {
+    fallbackPages++;
+    onPageError?.(pageIndex, ocr.reason);
+  });
+
+  // Transform to frontend-expected format with optional cleanup
+  const processedData = await processTextLines(pagesData, {
+    cleanup,
+    ai: aiCleaned ? { provider: aiProviders.get(provider), model } : null,
+    language,
+    signal,
+    onPageComplete,
+    onPageError: (pageIndex, message) => {
+      fallbackPages++;
+      onPageError?.(pageIndex, message);
+    },
+    ...processOptions,
+  });
+
+  console.log(`✓ Text extracted from ${documentId}: ${processedData.pages.length} pages`);
+
+  const result = {
+    documentId,
+    extractedText: processedData,
+    pageCount: processedData.pages.length,
+    ...scope,
+    language,
+    ocrPages,
+    cleanup,
+    provider: aiCleaned ? provider : null,
+    model: aiCleaned ? model : null,
+    aiCleaned,
+  };
+
+  // Don't cache pages that fell back to raw text or whose OCR failed; a
+  // later run may clean or recognize them
+  const cachedAt = fallbackPages === 0 ? await setCachedExtraction(cacheKey, result) : null;
+  if (cachedAt) await cachePages(pagesKey, result);
+
+  return { ...result, cache: { hit: false, cachedAt } };
+}
+
+/**
+ * An extraction of pages (see parsePageRanges) built from the pages cached
+ * under pagesKey by earlier extractions of other ranges, so that e.g. pages
+ * 1-3 and 5 extracted one after the other can be exported as "1-3,5"
+ * without extracting and cleaning them again. result holds the rest of the
+ * extraction result (documentId, language, cleanup, provider, model,
+ * aiCleaned)
+ * @returns {Promise<object|null>} A cache entry like getCachedExtraction's,
+ *   or null unless every requested page is cached
+ */
+async function assembleCachedPages(pagesKey, pages, result) {
+  const stored = await getCachedExtraction(pagesKey);
+  if (!stored) return null;
+
+  const { documentPageCount, pages: cachedPages } = stored.value;
+  let pageIndexes = null;
+  try {
+    pageIndexes = pages ? resolvePageRanges(pages, documentPageCount) : null;
+  } catch (error) {
+    // Extracting reports the page that is out of range
+    return null;
+  }
+
+  const extractedPages = (pageIndexes ?? range(documentPageCount)).map(pageIndex => cachedPages[pageIndex]);
+  if (!extractedPages.every(Boolean)) return null;
+
+  return {
+    ...stored,
+    value: {
+      ...result,
+      extractedText: { pages: extractedPages },
+      pageCount: extractedPages.length,
+      documentPageCount,
+      pageIndexes,
+      ocrPages: extractedPages.filter(({ ocr }) => ocr?.status === 'recognized').map(({ pageIndex }) => pageIndex),
+    },
+  };
+}
+
+/**
+ * Add the pages of an extraction result to the pages cached under pagesKey
+ * (see assembleCachedPages), replacing earlier extractions of them
+ */
+async function cachePages(pagesKey, result) {
+  const { documentPageCount, extractedText } = result;
+  const stored = (await getCachedExtraction(pagesKey))?.value;
+  const cachedPages = stored?.documentPageCount === documentPageCount ? stored.pages : {};
+
+  await setCachedExtraction(pagesKey, {
+    documentPageCount,
+    pages: { ...cachedPages, ...Object.fromEntries(extractedText.pages.map(page => [page.pageIndex, page])) },
+  });
+}
+
+function range(count) {
+  return Array.from({ length: count }, (_, index) => index);
+}
+
+/**
+ * Fetch the text lines of every page from Document Engine /pages/text, or
+ * of the pages in pageIndexes from /pages/:pageIndex/text
+ * @param {string} documentId - The document ID in Document Engine
+ * @param {object} options - { signal } to abort the requests, { pageIndexes } to select pages
+ * @returns {Promise<object[]>} [{ pageIndex, textLines }]
+ */
+async function fetchPagesText(documentId, options = {}) {
+  const { signal, pageIndexes = null } = options;
+
+  const headers = {
+    'Accept': 'application/json',
+  };
+
+  if (process.env.API_AUTH_TOKEN) {
+    headers['Authorization'] = `Token token=${process.env.API_AUTH_TOKEN}`;
+  }
+
+  const fetchText = async (pagePath) => {
+    const response = await fetch(
+      `${process.env.DOCUMENT_ENGINE_URL}/api/documents/${documentId}/pages/${pagePath}`,
+      { headers, signal }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Document Engine text extraction error:', errorText);
+      throw new Error(`Text extraction failed: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  };
+
+  if (!pageIndexes) {
+    return fetchText('text');
+  }
+
+  const limit = createLimiter(PAGE_TEXT_CONCURRENCY);
+  return Promise.all(pageIndexes.map(pageIndex => limit(async () => {
+    const { textLines } = await fetchText(`${pageIndex}/text`);
+    return { pageIndex, textLines };
+  })));
+}
+
+/**
+ * Recognize the text of pages that have none (scans, photos) with Document
+ * Engine OCR. Pages with fewer than OCR_MIN_TEXT_CHARS non-space characters
+ * are OCR'd into a temporary document with the Build API and their text is
+ * read from it, so the stored document isn't changed. If OCR fails, the
+ * pages keep their (missing) text
+ * @param {string} documentId - The document ID in Document Engine
+ * @param {object[]} pagesData - [{ pageIndex, textLines }] from fetchPagesText
+ * @param {object} options - { language } Document Engine OCR language
+ *   (e.g. 'english'), { signal } to abort the requests
+ * @returns {Promise<object[]>} pagesData, where the pages that needed OCR have
+ *   ocr: { status: 'recognized' | 'failed', language, reason? } and, when
+ *   recognized, the OCR'd text lines
+ */
+async function recognizeMissingText(documentId, pagesData, options = {}) {
+  const { language, signal } = options;
+
+  const missing = pagesData
+    .filter(({ textLines }) => textLines.map(line => line.contents || '').join('').replace(/\s/g, '').length < OCR_MIN_TEXT_CHARS)
+    .map(({ pageIndex }) => pageIndex);
+  if (missing.length === 0) return pagesData;
+
+  console.log(`Running OCR (${language}) on ${missing.length} page(s) of ${documentId} without text`);
+
+  let recognized;
+  try {
+    recognized = await ocrPages(documentId, missing, { language, signal });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    console.error(`OCR failed for ${documentId}:`, error.message);
+    const ocr = { status: 'failed', language, reason: `OCR failed: ${error.message}` };
+    return pagesData.map(page => (missing.includes(page.pageIndex) ? { ...page, ocr } : page));
+  }
+
+  console.log(`✓ OCR recognized ${missing.length} page(s) of ${documentId}`);
+
+  return pagesData.map(page => (recognized.has(page.pageIndex)
+    ? { ...page, textLines: recognized.get(page.pageIndex), ocr: { status: 'recognized', language } }
+    : page));
+}
+
+/**
+ * OCR pages of a document into a temporary document and read their text
+ * @returns {Promise<Map>} pageIndex → textLines
+ */
+async function ocrPages(documentId, pageIndexes, { language, signal }) {
+  // One part per run of consecutive pages
+  const parts = [];
+  for (const pageIndex of pageIndexes) {
+    const last = parts[parts.length - 1];
+    if (last && last.pages.end === pageIndex - 1) {
+      last.pages.end = pageIndex;
+    } else {
+      parts.push({ document: { id: documentId }, pages: { start: pageIndex, end: pageIndex } });
+    }
+  }
+
+  const pdf = await buildPdf({ parts, actions: [{ type: 'ocr', language }] }, { signal });
+  const ocrDocumentId = await storeInEngine(pdf);
+
+  try {
+    const ocrPagesData = await fetchPagesText(ocrDocumentId, { signal });
+    if (ocrPagesData.length !== pageIndexes.length) {
+      throw new Error(`Expected ${pageIndexes.length} OCR'd pages, got ${ocrPagesData.length}`);
+    }
+
+    // The temporary document has the pages in order
+    return new Map(pageIndexes.map((pageIndex, i) => [pageIndex, ocrPagesData[i].textLines]));
+  } finally {
+    await deleteEngineDocument(ocrDocumentId);
+  }
+}
+
+/**
+ * Fetch the number of pages from Document Engine document info
+ * @param {string} documentId - The document ID in Document Engine
+ * @param {object} options - { signal } to abort the request
+ * @returns {Promise<number>}
+ */
+async function fetchPageCount(documentId, options = {}) {
+  const { signal } = options;
+
+  const headers = {
+    'Accept': 'application/json',
+  };
+
+  if (process.env.API_AUTH_TOKEN) {
+    headers['Authorization'] = `Token token=${process.env.API_AUTH_TOKEN}`;
+  }
+
+  const response = await fetch(
+    `${process.env.DOCUMENT_ENGINE_URL}/api/documents/${documentId}/document_info`,
+    { headers, signal }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Document info unavailable: ${response.status} ${response.statusText}`);
+  }
+
+  const { data } = await response.json();
+  return data.pageCount;
+}
+
+/**
+ * Upload a PDF to Document Engine
+ * @param {Buffer} pdf
+ * @returns {Promise<string>} The new document's ID
+ * @throws {Error} With the Document Engine response status when the upload fails
+ */
+async function storeInEngine(pdf) {
+  const headers = {
+    'Content-Type': 'application/pdf',
+  };
+
+  if (process.env.API_AUTH_TOKEN) {
+    headers['Authorization'] = `Token token=${process.env.API_AUTH_TOKEN}`;
+  }
+
+  const response = await fetch(`${process.env.DOCUMENT_ENGINE_URL}/api/documents`, {
+    method: 'POST',
+    body: pdf,
+    headers,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Document Engine upload failed:');
+    console.error('  Status:', response.status, response.statusText);
+    console.error('  Response:', errorText);
+    const error = new Error(`Document Engine upload failed: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  return data.data['document_id'];
+}
+
+/**
+ * Convert an image or DOCX file to PDF with the Document Engine Build API
+ * The file is sent under a name with the extension of its detected type, so
+ * conversion doesn't depend on the client's file name
+ * @param {Buffer} buffer - The uploaded file
+ * @param {string} sourceType - Its type, a key of SOURCE_TYPES
+ * @returns {Promise<Buffer>} The PDF
+ */
+async function convertToPdf(buffer, sourceType) {
+  const { name, mimeType, extensions } = SOURCE_TYPES[sourceType];
+
+  let pdf;
+  try {
+    pdf = await buildPdf({ parts: [{ file: 'document' }] }, {
+      files: [{ name: 'document', data: buffer, type: mimeType, filename: `document.${extensions[0]}` }],
+    });
+  } catch (error) {
+    if (error.status >= 400 && error.status < 500) {
+      throw uploadError(422, 'CONVERSION_FAILED', `Document Engine could not convert the ${name} file to PDF`);
+    }
+    throw error;
+  }
+
+  console.log(`✓ Converted ${name} to PDF`);
+
+  return pdf;
+}
+
+/**
+ * Create a PDF with the Document Engine Build API (POST /api/build)
+ * @param {object} instructions - Build instructions: parts and optional actions
+ * @param {object} options - { files: [{ name, data, type, filename }] } for
+ *   the parts' file fields, { signal } to abort the request
+ * @returns {Promise<Buffer>} The PDF
+ * @throws {Error} With the Document Engine response status when the build fails
+ */
+async function buildPdf(instructions, options = {}) {
+  const { files = [], signal } = options;
+
+  const form = new FormData();
+  files.forEach(({ name, data, type, filename }) => form.append(name, new Blob([data], { type }), filename));
+  form.append('instructions', JSON.stringify({ ...instructions, output: { type: 'pdf' } }));
+
+  const headers = {};
+
+  if (process.env.API_AUTH_TOKEN) {
+    headers['Authorization'] = `Token token=${process.env.API_AUTH_TOKEN}`;
+  }
+
+  const response = await fetch(`${process.env.DOCUMENT_ENGINE_URL}/api/build`, {
+    method: 'POST',
+    body: form,
+    headers,
+    signal,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Document Engine build failed:');
+    console.error('  Status:', response.status, response.statusText);
+    console.error('  Response:', errorText);
+    const error = new Error(`Document Engine build failed: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Delete a document from Document Engine. Errors are logged and otherwise
+ * ignored; a document that no longer exists counts as deleted
+ * @returns {Promise<boolean>} Whether the document is gone
+ */
+async function deleteEngineDocument(documentId) {
+  const headers = {};
+
+  if (process.env.API_AUTH_TOKEN) {
+    headers['Authorization'] = `Token token=${process.env.API_AUTH_TOKEN}`;
+  }
+
+  try {
+    const response = await fetch(`${process.env.DOCUMENT_ENGINE_URL}/api/documents/${documentId}`, {
+      method: 'DELETE',
+      headers,
+    });
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error deleting document ${documentId} from Document Engine:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Fetch page sizes from Document Engine document info
+ * Returns null when they are unavailable, so exporters fall back to the text extent
+ * @param {string} documentId - The document ID in Document Engine
+ * @returns {Promise<object|null>} { [pageIndex]: { width, height } }
+ */
+async function fetchPageSizes(documentId) {
+  const headers = {
+    'Accept': 'application/json',
+  };
+
+  if (process.env.API_AUTH_TOKEN) {
+    headers['Authorization'] = `Token token=${process.env.API_AUTH_TOKEN}`;
+  }
+
+  try {
+    const response = await fetch(
+      `${process.env.DOCUMENT_ENGINE_URL}/api/documents/${documentId}/document_info`,
+      { headers }
+    );
+
+    if (!response.ok) {
+      console.log(`  Document info unavailable (${response.status}), using text extent for page sizes`);
+      return null;
+    }
+
+    const { data } = await response.json();
+    const pageSizes = {};
+    (data?.pages || []).forEach(({ pageIndex, width, height }) => {
+      pageSizes[pageIndex] = { width, height };
+    });
+    return pageSizes;
+  } catch (error) {
+    console.log(`  Document info unavailable (${error.message}), using text extent for page sizes`);
+    return null;
+  }
+}
+
+/**
+ * Sanitize text content to handle quotes and special characters properly
+ * This ensures text is safe for JSON serialization
+ */
+function sanitizeText(text) {
+  if (!text) return '';
+
+  // The text should already be clean from Document Engine,
+  // but we ensure it's properly handled for JSON
+  return text;
+}
+
+/**
+ * Read the cleanup mode, AI provider and model from a request body or query.
+ * Without an explicit cleanup, AI cleanup is used when a provider is
+ * configured and the raw text is kept otherwise; the rule-based cleaner
+ * changes text without a fidelity check, so it is opt-in. useAI: false (the older
+ * option) turns cleanup off. provider and model default to AI_PROVIDER and
+ * its default model and must be among those listed in the / endpoint
+ * @returns {object} { cleanup, provider, model } (provider and model are null
+ *   unless AI cleanup runs), or { error } with a 400 response body
+ */
+function parseCleanupOptions(params) {
+  const { cleanup: requestedMode, provider: requestedProvider, model: requestedModel } = params;
+
+  let cleanup;
+  if (requestedMode) {
+    cleanup = requestedMode;
+  } else if (params.useAI === false || params.useAI === 'false') {
+    cleanup = 'none';
+  } else {
+    cleanup = aiProviders.get() ? 'ai' : 'none';
+  }
+
+  if (!CLEANUP_MODES.includes(cleanup)) {
+    return { error: { error: `Unsupported cleanup mode "${cleanup}"`, supportedModes: CLEANUP_MODES } };
+  }
+
+  const provider = aiProviders.get(requestedProvider);
+  if (requestedProvider && !provider) {
+    return {
+      error: {
+        error: `AI provider "${requestedProvider}" is not configured`,
+        availableProviders: aiProviders.list().map(({ name }) => name),
+      },
+    };
+  }
+
+  if (requestedModel && !provider?.models.includes(requestedModel)) {
+    return {
+      error: {
+        error: `Model "${requestedModel}" is not available${provider ? ` from ${provider.name}` : ''}`,
+        availableModels: provider?.models || [],
+      },
+    };
+  }
+
+  if (!cleanup.includes('ai') || !provider) {
+    return { cleanup, provider: null, model: null };
+  }
+
+  return { cleanup, provider: provider.name, model: requestedModel || provider.defaultModel };
+}
+
+/**
+ * Cleanup options for log lines, e.g. "cleanup: ai, anthropic/claude-3-5-haiku-20241022"
+ */
+function describeCleanupOptions({ cleanup, provider, model }) {
+  return `cleanup: ${cleanup}${provider ? `, ${provider}/${model}` : ''}`;
+}
+
+/**
+ * Read the cleanup language from a request body or query: 'auto' (the
+ * default) detects each page's language, a code or name from language.js
+ * ("de", "german") sets it for every page
+ * @returns {object} { language: 'auto' | code }, or { error } with a 400 response body
+ */
+function parseLanguage(params) {
+  const { language: requested } = params;
+
+  if (!requested || requested === 'auto') {
+    return { language: 'auto' };
+  }
+
+  const language = resolveLanguage(requested);
+  if (!language) {
+    return { error: { error: `Unsupported language "${requested}"`, supportedLanguages: ['auto', ...Object.keys(LANGUAGES)] } };
+  }
+
+  return { language };
+}
+
+/**
+ * Read the 0-based :pageIndex route parameter; pages past the end of a
+ * registered document don't exist
+ * @returns {Promise<object>} { pageIndex }, or { error: { status, error } }
+ */
+async function parsePageIndex(params) {
+  const pageIndex = /^\d+$/.test(params.pageIndex) ? Number(params.pageIndex) : null;
+  if (pageIndex === null) {
+    return { error: { status: 400, error: 'pageIndex must be a page index (0 for the first page)' } };
+  }
+
+  const pageCount = (await getDocument(params.documentId))?.pageCount;
+  if (pageCount && pageIndex >= pageCount) {
+    return { error: { status: 404, error: `Page ${pageIndex + 1} doesn't exist; the document has ${pageCount} pages` } };
+  }
+
+  return { pageIndex };
+}
+
+/**
+ * Read corrections to save from a request body (see the corrections route)
+ * @returns {object} { baseVersion, paragraphs, plainText }, or { error } with a 400 response body
+ */
+function parseCorrection(body) {
+  const { baseVersion, paragraphs = [], plainText } = body;
+  const isCorrectedText = (value) => typeof value?.text === 'string' && typeof value.machineText === 'string';
+
+  if (!isVersionNumber(baseVersion)) {
+    return { error: { error: 'baseVersion must be the version being corrected (0 for the machine output)' } };
+  }
+
+  if (!Array.isArray(paragraphs) ||
+    !paragraphs.every(paragraph => Number.isInteger(paragraph?.index) && paragraph.index >= 0 && isCorrectedText(paragraph))) {
+    return { error: { error: 'paragraphs must be a list of { index, text, machineText }' } };
+  }
+
+  if (plainText !== undefined && plainText !== null && !isCorrectedText(plainText)) {
+    return { error: { error: 'plainText must be { text, machineText } or null' } };
+  }
+
+  if (paragraphs.length === 0 && plainText === undefined) {
+    return { error: { error: 'Nothing to correct; send paragraphs or plainText' } };
+  }
+
+  return { baseVersion, paragraphs, plainText };
+}
+
+function isVersionNumber(value) {
+  return Number.isInteger(value) && value >= 0;
+}
 
 /**
- * Upload a PDF document to Document Engine
- * POST /api/documents/upload
- * Body: multipart/form-data with 'file' field
+ * Read the pages to extract from a request body or query: 1-based pages and
+ * ranges separated by commas, e.g. "1-5,9", where "10-" runs to the last
+ * page. A number or an array of pages and ranges works too; missing or
+ * "all" selects every page
+ * @returns {object} { pages: [[first, last]] } (0-based, last null for "to
+ *   the last page") or { pages: null } for every page, or { error } with a
+ *   400 response body
  */
-app.post('/api/documents/upload', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    if (!privateKey) {
-      return res.status(500).json({ error: 'JWT private key not configured' });
-    }
+function parsePageRanges(params) {
+  const { pages: requested } = params;
 
-    // Upload to Document Engine with raw PDF data
-    const headers = {
-      'Content-Type': 'application/pdf',
-    };
+  if (requested === undefined || requested === null || requested === '' || requested === 'all') {
+    return { pages: null };
+  }
 
-    if (process.env.API_AUTH_TOKEN) {
-      headers['Authorization'] = `Token token=${process.env.API_AUTH_TOKEN}`;
-    }
+  const spec = Array.isArray(requested) ? requested.join(',') : String(requested);
+  const pages = [];
 
-    const response = await fetch(`${process.env.DOCUMENT_ENGINE_URL}/api/documents`, {
-      method: 'POST',
-      body: req.file.buffer,
-      headers,
-    });
+  for (const part of spec.split(',')) {
+    const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+    const first = match ? Number(match[1]) : 0;
+    const last = !match || match[2] === undefined ? first : match[2] === '' ? null : Number(match[2]);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Document Engine upload failed:');
-      console.error('  Status:', response.status, response.statusText);
-      console.error('  Response:', errorText);
-      console.error('  Request headers:', headers);
-      throw new Error(`Document Engine upload failed: ${response.status} ${response.statusText}`);
+    if (first < 1 || (last !== null && last < first)) {
+      return { error: { error: `Invalid page range "${spec}"`, example: '1-5,9' } };
     }
+    pages.push([first - 1, last === null ? null : last - 1]);
+  }
 
-    const data = await response.json();
-    const documentId = data.data['document_id'];
-
-    // Generate JWT for the uploaded document
-    const token = generateJWT(documentId);
+  return { pages };
+}
 
-    console.log(`✓ Document uploaded: ${documentId} (${req.file.originalname})`);
+/**
+ * Check page ranges against the page count of a registered document, so
+ * that pages past its end are refused before an extraction starts. Documents
+ * whose page count isn't known yet are checked once extraction reads it
+ * (see resolvePageRanges)
+ * @returns {Promise<object>} {} or { error } with a 400 response body
+ */
+async function checkPageRanges(documentId, pages) {
+  const pageCount = (await getDocument(documentId))?.pageCount;
+  if (!pages || !pageCount) return {};
 
-    res.json({
-      documentId,
-      jwt: token,
-      documentEngineUrl: process.env.DOCUMENT_ENGINE_URL,
-      filename: req.file.originalname,
-    });
+  try {
+    resolvePageRanges(pages, pageCount);
+    return {};
   } catch (error) {
-    console.error('Error uploading document:', error);
-    res.status(500).json({
-      error: 'Failed to upload document',
-      details: error.message
-    });
+    return { error: { error: error.message } };
   }
-});
+}
 
 /**
- * Extract structured text from a document using /pages/text endpoint
- * POST /api/documents/:documentId/extract
- * Returns clean text with paragraphs and bounding boxes
+ * Page ranges as 1-based text, e.g. "1-5,9,10-", for log lines and cache keys
  */
-app.post('/api/documents/:documentId/extract', async (req, res) => {
-  try {
-    const { documentId } = req.params;
-    const { useAI = true } = req.body; // Allow disabling AI cleanup via request
-
-    console.log(`Extracting text from document: ${documentId} (AI cleanup: ${useAI && anthropic ? 'enabled' : 'disabled'})`);
+function describePageRanges(pages) {
+  if (!pages) return 'all';
 
-    // Call Document Engine /pages/text endpoint
-    const headers = {
-      'Accept': 'application/json',
-    };
+  return pages
+    .map(([first, last]) => (first === last ? `${first + 1}` : `${first + 1}-${last === null ? '' : last + 1}`))
+    .join(',');
+}
 
-    if (process.env.API_AUTH_TOKEN) {
-      headers['Authorization'] = `Token token=${process.env.API_AUTH_TOKEN}`;
+/**
+ * Sorted page indexes of page ranges in a document with pageCount pages
+ * @throws {Error} with status 400 when a range starts or ends past the last page
+ */
+function resolvePageRanges(pages, pageCount) {
+  const pageIndexes = new Set();
+
+  for (const [first, last] of pages) {
+    const end = last ?? pageCount - 1;
+    if (first >= pageCount || end >= pageCount) {
+      const error = new Error(`Page ${Math.max(first, end) + 1} is out of range; the document has ${pageCount} page${pageCount === 1 ? '' : 's'}`);
+      error.status = 400;
+      throw error;
     }
-
-    const response = await fetch(
-      `${process.env.DOCUMENT_ENGINE_URL}/api/documents/${documentId}/pages/text`,
-      { headers }
-    );
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Document Engine text extraction error:', errorText);
-      throw new Error(`Text extraction failed: ${response.status} ${response.statusText}`);
+    for (let pageIndex = first; pageIndex <= end; pageIndex++) {
+      pageIndexes.add(pageIndex);
     }
+  }
 
-    const pagesData = await response.json();
+  return [...pageIndexes].sort((a, b) => a - b);
+}
+
+/**
+ * Clean one page's text with the given cleanup mode. In 'rules+ai' the AI
+ * cleans the rule-based cleaner's output, and a page the AI skips still
+ * counts as cleaned. ai is the { provider, model } to clean with, or null
+ * when no provider is configured, and language the page's language code
+ * @returns {Promise<object>} cleanTextWithAI's result plus mode, applied
+ *   (the cleaners whose output is in text) and rules (the rule-based
+ *   cleaner's counts), or { text, mode, status: 'skipped', reason } for 'none'
+ */
+async function cleanPageText(rawText, pageIndex, options = {}) {
+  const { mode, ai: aiOptions, language, signal, blocks } = options;
 
-    // Transform to frontend-expected format with optional AI cleanup
-    const processedData = await processTextLines(pagesData, { useAI });
+  if (mode === 'none') {
+    return { text: rawText, mode, status: 'skipped', reason: 'Cleanup disabled', applied: [] };
+  }
 
-    console.log(`✓ Text extracted from ${documentId}: ${processedData.pages.length} pages`);
+  const applied = [];
+  let text = rawText;
+  let aiBlocks = blocks;
+  let rules = null;
+
+  if (mode.includes('rules')) {
+    const { text: cleaned, ...counts } = cleanTextWithRules(rawText, { language });
+    text = cleaned;
+    rules = counts;
+    aiBlocks = blocks?.map(block => cleanTextWithRules(block, { language }).text);
+    applied.push('rules');
+  }
 
-    res.json({
-      documentId,
-      extractedText: processedData,
-      pageCount: processedData.pages.length,
-      aiCleaned: useAI && !!anthropic,
-    });
-  } catch (error) {
-    console.error('Error extracting text:', error);
-    res.status(500).json({
-      error: 'Failed to extract text',
-      details: error.message,
-    });
+  if (!mode.includes('ai')) {
+    return { text, mode, status: 'cleaned', applied, rules };
   }
-});
 
-/**
- * Sanitize text content to handle quotes and special characters properly
- * This ensures text is safe for JSON serialization
- */
-function sanitizeText(text) {
-  if (!text) return '';
+  const { text: aiText, ...ai } = await cleanTextWithAI(text, pageIndex, { ...aiOptions, language, signal, blocks: aiBlocks });
+  if (ai.status === 'cleaned' || ai.status === 'partial') {
+    applied.push('ai');
+  }
 
-  // The text should already be clean from Document Engine,
-  // but we ensure it's properly handled for JSON
-  return text;
+  return {
+    ...ai,
+    text: aiText,
+    mode,
+    status: rules && ai.status === 'skipped' ? 'cleaned' : ai.status,
+    applied,
+    ...(rules && { rules }),
+  };
 }
 
 /**
- * Clean up extracted text using Claude AI
+ * Clean up extracted text using an LLM provider (see providers.js)
  * Fixes spacing, formatting, and organizes into proper paragraphs
+ * Pages longer than AI_CHUNK_MAX_CHARS are split into chunks along the given
+ * paragraph and table blocks, cleaned separately and joined back together,
+ * so the output fits in max_tokens. Requests go through the shared AI
+ * limiter and are retried on rate limits, overloads and server errors.
+ * Options: provider and model to clean with, language of the text, signal
+ * to abort the request, blocks (reading-ordered paragraph and table texts)
+ * to chunk along
+ * @returns {Promise<object>} { text, status, reason?, provider?, model?, attempts?, chunks?, fidelity? }
+ *   where status is 'cleaned', 'partial' (some chunks kept their original
+ *   text), 'skipped' (not sent to the AI) or 'fallback' (the original text is
+ *   returned because cleanup failed or was rejected), and fidelity is the
+ *   verifier's result for the AI output (see fidelity.js)
  */
-async function cleanTextWithAI(rawText, pageIndex) {
-  if (!anthropic) {
-    console.log(`  Page ${pageIndex}: Skipping AI cleanup (Anthropic not configured)`);
-    return rawText;
+async function cleanTextWithAI(rawText, pageIndex, options = {}) {
+  const { provider, model, language, signal, blocks } = options;
+
+  if (!provider) {
+    console.log(`  Page ${pageIndex}: Skipping AI cleanup (no AI provider configured)`);
+    return { text: rawText, status: 'skipped', reason: 'AI cleanup not configured' };
   }
 
   // Skip AI cleanup for very short or empty text
   const trimmedText = rawText.trim();
   if (trimmedText.length < 100) {
     console.log(`  Page ${pageIndex}: Skipping AI cleanup (text too short: ${trimmedText.length} chars)`);
-    return rawText;
+    return { text: rawText, status: 'skipped', reason: `Text too short (${trimmedText.length} chars)` };
+  }
+
+  const chunks = rawText.length > AI_CHUNK_MAX_CHARS
+    ? chunkBlocks(blocks?.length ? blocks : [rawText], AI_CHUNK_MAX_CHARS)
+    : [rawText];
+
+  if (chunks.length > 1) {
+    console.log(`  Page ${pageIndex}: Cleaning in ${chunks.length} chunks (${rawText.length} chars)`);
+  }
+
+  const pieces = (await Promise.all(chunks.map((chunk, i) =>
+    cleanChunk(chunk, chunks.length > 1 ? `Page ${pageIndex} chunk ${i + 1}/${chunks.length}` : `Page ${pageIndex}`, { provider, model, language, signal })
+  ))).flat();
+
+  const attempts = pieces.reduce((sum, piece) => sum + piece.attempts, 0);
+  const failed = pieces.filter(piece => piece.status === 'fallback');
+  const chunkInfo = {
+    provider: provider.name,
+    model,
+    ...(pieces.length > 1 && { chunks: pieces.length }),
+  };
+
+  const verified = pieces.filter(piece => piece.fidelity).map(piece => piece.fidelity);
+  if (verified.length > 0) {
+    chunkInfo.fidelity = mergeFidelity(verified, { minScore: FIDELITY_MIN_SCORE });
+  }
+
+  if (failed.length === pieces.length) {
+    return { text: rawText, status: 'fallback', reason: failed[0].reason, attempts, ...chunkInfo }; // Fallback to original text
   }
 
+  const text = pieces.map(piece => piece.text).join('\n\n');
+
+  if (failed.length > 0) {
+    const reason = `${failed.length} of ${pieces.length} chunks kept the original text: ${failed[0].reason}`;
+    return { text, status: 'partial', reason, attempts, ...chunkInfo };
+  }
+
+  console.log(`  Page ${pageIndex}: ✓ Text cleaned successfully`);
+
+  return { text, status: 'cleaned', attempts, ...chunkInfo };
+}
+
+/**
+ * Clean one chunk of a page. Output cut off at max_tokens is never used:
+ * the chunk is split in half and each half cleaned again, and a chunk too
+ * small to split keeps its original text. Complete output goes through the
+ * fidelity check
+ * @returns {Promise<object[]>} One { text, status: 'cleaned' | 'fallback', reason?, attempts, fidelity? } per piece
+ */
+async function cleanChunk(text, label, options = {}) {
+  const { provider, model, language, signal } = options;
+  let attempts = 0;
+
   try {
-    const prompt = `You are a text formatting assistant. Your ONLY job is to fix formatting issues in extracted PDF text.
+    // Each attempt takes a limiter slot of its own, so a chunk waiting to
+    // retry doesn't keep other pages from being cleaned
+    const completion = await retryWithBackoff((attempt) => aiLimiter(() => {
+      signal?.throwIfAborted();
+      attempts = attempt;
+      console.log(`  ${label}: Cleaning text with ${provider.name}/${model}${attempt > 1 ? ` (attempt ${attempt})` : ''}...`);
+
+      return provider.complete({
+        model,
+        prompt: cleanupPrompt(text, language),
+        maxTokens: AI_MAX_OUTPUT_TOKENS,
+        signal,
+      });
+    }), {
+      retries: AI_MAX_RETRIES,
+      baseDelayMs: AI_RETRY_BASE_DELAY_MS,
+      isRetryable: isRetryableAIError,
+      retryAfterMs: retryAfterFromError,
+      onRetry: (error, attempt, delayMs) => {
+        console.log(`  ${label}: ${error.status || 'Connection error'}, retrying in ${Math.round(delayMs)}ms`);
+      },
+      signal,
+    });
+
+    if (completion.truncated) {
+      const halves = splitInHalf(text, AI_MIN_SPLIT_CHARS);
+      if (!halves) {
+        console.log(`  ${label}: AI output truncated at max_tokens, using original`);
+        return [{ text, status: 'fallback', reason: 'Cleaned text was truncated at max_tokens', attempts }];
+      }
+
+      console.log(`  ${label}: AI output truncated at max_tokens, retrying in two halves`);
+      const pieces = (await Promise.all(halves.map((half, i) => cleanChunk(half, `${label}.${i + 1}`, options)))).flat();
+      pieces[0].attempts += attempts;
+      return pieces;
+    }
+
+    const cleanedText = completion.text.trim();
+
+    // Detect if AI added content instead of just cleaning
+    // If the cleaned text is significantly longer than input, something went wrong
+    const lengthRatio = cleanedText.length / text.length;
+    if (lengthRatio > 2.0) {
+      console.log(`  ${label}: AI added too much content (${lengthRatio.toFixed(1)}x longer), using original`);
+      return [{
+        text,
+        status: 'fallback',
+        reason: `Cleaned text was ${lengthRatio.toFixed(1)}x longer than the original`,
+        attempts,
+      }];
+    }
+
+    // Check that nothing was dropped, invented or changed along the way
+    const fidelity = verifyFidelity(text, cleanedText, { minScore: FIDELITY_MIN_SCORE });
+    if (!fidelity.passed) {
+      console.log(`  ${label}: Fidelity check failed (${describeFidelity(fidelity)})${FIDELITY_ACTION === 'reject' ? ', using original' : ''}`);
+
+      if (FIDELITY_ACTION === 'reject') {
+        return [{ text, status: 'fallback', reason: `Fidelity check failed: ${describeFidelity(fidelity)}`, attempts, fidelity }];
+      }
+    }
+
+    return [{ text: cleanedText, status: 'cleaned', attempts, fidelity }];
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    console.error(`  ${label}: AI cleanup failed after ${attempts} attempt(s):`, error.message);
+    return [{ text, status: 'fallback', reason: describeAIError(error, attempts), attempts }];
+  }
+}
+
+function cleanupPrompt(text, language = DEFAULT_LANGUAGE) {
+  const { name, promptNotes, example } = LANGUAGES[language];
+  const languageNotes = promptNotes.map(note => `\n- ${note}`).join('');
+
+  return `You are a text formatting assistant. Your ONLY job is to fix formatting issues in extracted PDF text.
 
 CRITICAL RULES:
 1. If there is no substantial text content (just titles, page numbers, etc.), return it EXACTLY as provided without any changes
 2. DO NOT expand on the existing information - do not add explanations, context, summaries, or any new content whatsoever
 3. DO NOT remove or replace content with placeholders like "(details remain as in original)" - include ALL content
-4. DO NOT skip table content - format it as readable text with all data preserved
+4. DO NOT skip table content - keep each table row on its own line with its cells in the same order
 5. ONLY fix spacing and formatting problems in the EXACT text that was provided
 6. The output should contain ALL the SAME information as the input, just better formatted
+7. The text is in ${name}. Keep it in ${name} - DO NOT translate it
+
+LANGUAGE:
+- Follow ${name} spelling, punctuation and word-spacing conventions${languageNotes}
 
 WHAT TO FIX:
 - Add spaces between concatenated words (e.g., "keepthemstill" → "keep them still")
 - Join lines that are part of the same sentence
 - Add proper paragraph breaks (double newline) between distinct paragraphs
-- Format table data as readable text (keep all rows and columns, just make it cleaner)
+- Keep table rows on separate lines (do not merge cells into sentences or reflow rows into paragraphs)
 - Remove or format figure references like (1), (2), [Fig. 71] only if they interrupt text flow
 - Fix obvious OCR errors (missing spaces, wrong characters)
 
 WHAT NOT TO DO:
 - ❌ DO NOT write placeholders like "(The semester details remain as they were in the original text)"
 - ❌ DO NOT skip or summarize table content
+- ❌ DO NOT flatten tables into prose
 - ❌ DO NOT remove any information that was in the input
 
 EXAMPLE:
-Input: "silverfiligreeornaments; gold and silverflower-stands"
-Output: "silver filigree ornaments; gold and silver flower-stands"
+Input: "${example.input}"
+Output: "${example.output}"
 
 TEXT TO CLEAN:
-${rawText}
+${text}
 
 Output the cleaned text only with ALL content preserved. Do not remove or replace anything with placeholders.`;
+}
 
-    console.log(`  Page ${pageIndex}: Cleaning text with AI...`);
+/**
+ * Pack reading-ordered blocks into chunks of at most maxChars, splitting
+ * blocks that are too long on their own
+ */
+function chunkBlocks(blocks, maxChars) {
+  const pieces = blocks.flatMap(function split(block) {
+    if (block.length <= maxChars) return [block];
+    const halves = splitInHalf(block, 0) || [block.slice(0, maxChars), block.slice(maxChars)];
+    return halves.flatMap(split);
+  });
 
-    const message = await anthropic.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 4096,
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-    });
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + 2 + piece.length > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
 
-    const cleanedText = message.content[0].text.trim();
+  return chunks;
+}
 
-    // Detect if AI added content instead of just cleaning
-    // If the cleaned text is significantly longer than input, something went wrong
-    const lengthRatio = cleanedText.length / rawText.length;
-    if (lengthRatio > 2.0) {
-      console.log(`  Page ${pageIndex}: AI added too much content (${lengthRatio.toFixed(1)}x longer), using original`);
-      return rawText;
+/**
+ * Split text in two near the middle, preferring paragraph breaks, then line
+ * breaks, sentence ends and finally any whitespace. Returns null for text
+ * shorter than minChars or without a usable break
+ */
+function splitInHalf(text, minChars) {
+  if (text.length < minChars) return null;
+
+  const middle = text.length / 2;
+  for (const separator of [/\n\s*\n/g, /\n/g, /[.!?;:]\s+/g, /\s+/g]) {
+    let best = null;
+    for (const match of text.matchAll(separator)) {
+      const index = match.index + match[0].length;
+      if (index < text.length * 0.25 || index > text.length * 0.75) continue;
+      if (best === null || Math.abs(index - middle) < Math.abs(best - middle)) best = index;
+    }
+    if (best !== null) {
+      return [text.slice(0, best).trim(), text.slice(best).trim()];
     }
+  }
 
-    console.log(`  Page ${pageIndex}: ✓ Text cleaned successfully`);
+  return null;
+}
 
-    return cleanedText;
-  } catch (error) {
-    console.error(`  Page ${pageIndex}: AI cleanup failed:`, error.message);
-    return rawText; // Fallback to original text
-  }
+/**
+ * Short, readable reason for a failed AI cleanup
+ */
+function describeAIError(error, attempts) {
+  const tries = `after ${attempts} attempt${attempts === 1 ? '' : 's'}`;
+
+  if (error.status === 429) return `Rate limited ${tries}`;
+  if (error.status === 529) return `API overloaded ${tries}`;
+  if (error.status) return `API error ${error.status}: ${error.message} (${tries})`;
+  return `${error.message} (${tries})`;
+}
+
+/**
+ * Whether a failed AI request is worth retrying: providers mark rate limits
+ * (429), overloads (529), timeouts, conflicts, server errors and dropped
+ * connections as retryable; aborts and other errors are not
+ */
+function isRetryableAIError(error) {
+  return error.retryable === true;
+}
+
+/**
+ * Delay requested by the API through retry-after-ms or retry-after (seconds
+ * or an HTTP date), in milliseconds
+ */
+function retryAfterFromError(error) {
+  const header = (name) => error.headers?.get?.(name) ?? error.headers?.[name];
+
+  const retryAfterMs = parseFloat(header('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = header('retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
 }
 
 /**
  * Process text lines from Document Engine /pages/text endpoint
- * Combines simple line joining with smart paragraph grouping and AI cleanup
+ * Combines simple line joining with smart paragraph grouping and rule-based
+ * and/or AI cleanup, as selected by cleanup (one of CLEANUP_MODES), with
+ * ai ({ provider, model }) as the LLM for AI cleanup.
+ * Running headers, footers and page numbers (see runningLines.js) are listed
+ * in each page's runningBlocks and left out of its text and paragraphs,
+ * unless keepHeadersFooters is set; then they stay in as paragraphs of type
+ * 'header', 'footer' or 'pageNumber'.
+ * language 'auto' detects each page's language (see language.js) and cleans
+ * it with that language's rules; pages too short to tell use the language
+ * most other pages are in, or DEFAULT_LANGUAGE. A language code cleans every
+ * page as that language. Each page reports its language, where it came from
+ * (languageSource: 'requested', 'detected', 'document' or 'default') and
+ * detectedLanguage.
+ * Pass includeLines to keep each paragraph's and table's line boxes.
+ * onPageComplete(pageIndex, page) and onPageError(pageIndex, message) report
+ * progress (onPageError for pages whose AI cleanup kept some raw text), and
+ * aborting signal stops outstanding AI requests. Each page's `cleanup` tells
+ * whether its plainText was cleaned, skipped or fell back, and why, and
+ * `fidelity` how closely the AI output matched its input
  */
 async function processTextLines(pagesData, options = {}) {
-  const { useAI = true } = options;
+  const {
+    cleanup: mode = 'none',
+    ai = null,
+    language = 'auto',
+    keepHeadersFooters = false,
+    includeLines = false,
+    signal,
+    onPageComplete,
+    onPageError,
+  } = options;
 
-  const pages = await Promise.all(
-    pagesData.map(async (pageData) => {
-      const { pageIndex, textLines } = pageData;
+  // Running lines repeat across pages, so they are found before the pages
+  // are processed one by one
+  const runningLines = detectRunningLines(pagesData);
 
-      // Approach 1: Simple join preserving Document Engine's line breaks
-      // This respects the natural \n characters in contents
-      const rawText = textLines
-        .map((line) => sanitizeText(line.contents))
-        .join("")
-        .replace(/\n{3,}/g, "\n\n") // Clean up excessive newlines
-        .trim();
+  // Languages are detected up front too, so pages too short to tell can
+  // fall back to the document's main language
+  const detectedLanguages = new Map(pagesData.map(({ pageIndex, textLines }) => [
+    pageIndex,
+    detectLanguage(textLines.filter(line => !runningLines.has(line)).map(line => line.contents || '').join(' ')),
+  ]));
+  const documentLanguage = mostCommon([...detectedLanguages.values()].filter(Boolean));
 
-      // Approach 2: AI cleanup to fix spacing and formatting
-      const plainText = useAI && anthropic
-        ? await cleanTextWithAI(rawText, pageIndex)
-        : rawText;
+  const pages = await Promise.all(
+    pagesData.map(async (pageData) => {
+      const { pageIndex } = pageData;
+
+      const detectedLanguage = detectedLanguages.get(pageIndex);
+      const [pageLanguage, languageSource] =
+        language !== 'auto' ? [language, 'requested']
+          : detectedLanguage ? [detectedLanguage, 'detected']
+            : documentLanguage ? [documentLanguage, 'document']
+              : [DEFAULT_LANGUAGE, 'default'];
+
+      // Mark running lines (layout analysis copies lines, so the mark has to
+      // travel with them) and drop them unless they are kept
+      const markedLines = pageData.textLines.map(line => (
+        runningLines.has(line) ? { ...line, running: runningLines.get(line) } : line
+      ));
+      const textLines = keepHeadersFooters ? markedLines : markedLines.filter(line => !line.running);
+      const runningBlocks = markedLines
+        .filter(line => line.running)
+        .sort((a, b) => a.top - b.top)
+        .map(line => ({ type: line.running, ...toLineBox(line) }));
 
-      // Approach 3: Smart paragraph grouping for bounding boxes
       // Filter out newline-only lines for spatial analysis
       const contentLines = textLines.filter(
         line => line.contents && line.contents.trim() !== '' && line.contents !== '\n'
       );
 
-      // Group lines into paragraphs based on vertical spacing
-      const paragraphs = groupLinesIntoParagraphs(contentLines);
+      // Pull out tables first so their cell columns aren't mistaken for text columns
+      const { tables, lines: bodyLines } = detectTables(contentLines);
 
-      return {
+      // Detect columns, sidebars and full-width spans and put lines in reading order
+      const layout = analyzeLayout(bodyLines);
+
+      // Approach 1: Simple join preserving Document Engine's line breaks
+      // This respects the natural \n characters in contents. Multi-column
+      // pages and pages with tables are rebuilt from the reading-ordered
+      // lines instead, since Document Engine's order interleaves the columns
+      // and puts every table cell on a line of its own
+      const rawText = (layout.columnCount > 1 || tables.length > 0
+        ? joinLinesInReadingOrder(layout.lines, tables)
+        : textLines.map((line) => sanitizeText(line.contents)).join(""))
+        .replace(/\n{3,}/g, "\n\n") // Clean up excessive newlines
+        .trim();
+
+      // Approach 2: Smart paragraph grouping for bounding boxes
+      // Group lines into paragraphs based on vertical spacing
+      const paragraphs = groupLinesIntoParagraphs(layout.lines, { includeLines });
+
+      // Approach 3: Cleanup to fix spacing and formatting. AI cleanup is
+      // chunked along paragraphs and tables when the page is too long for
+      // one request
+      const blocks = interleaveTables(paragraphs, tables, paragraph => paragraph.bbox)
+        .map(({ kind, item, table }) => (kind === 'table' ? tableToText(table) : item.text));
+
+      const { text: plainText, fidelity = null, ...cleanup } = await cleanPageText(rawText, pageIndex, {
+        mode,
+        ai,
+        language: pageLanguage,
+        signal,
+        blocks,
+      });
+
+      if (cleanup.status === 'fallback' || cleanup.status === 'partial') {
+        onPageError?.(pageIndex, cleanup.reason);
+      }
+
+      const page = {
         pageIndex,
+        language: pageLanguage,
+        languageSource,
+        detectedLanguage,
+        ocr: pageData.ocr || null,
         plainText,
+        rawText,
+        cleanup,
+        fidelity,
         paragraphs,
+        runningBlocks,
+        outline: buildOutline(paragraphs),
+        tables: tables.map(({ lines, ...table }) => (
+          includeLines ? { ...table, lines: lines.map(toLineBox) } : table
+        )),
+        layout: {
+          columnCount: layout.columnCount,
+          sections: layout.sections,
+        },
       };
+
+      onPageComplete?.(pageIndex, page);
+
+      return page;
     })
   );
 
@@ -392,23 +2212,65 @@ async function processTextLines(pagesData, options = {}) {
 }
 
 /**
- * Group text lines into paragraphs using multiple heuristics
- * This provides structured paragraph data with bounding boxes
+ * The value occurring most often, or null for an empty list
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+/**
+ * Join reading-ordered lines into text, one line per row and a blank line
+ * wherever the reading order moves to another column or section. Each table
+ * is placed before the first line below it that shares its horizontal extent
+ */
+function joinLinesInReadingOrder(lines, tables = []) {
+  let prev = null;
+
+  return interleaveTables(lines, tables)
+    .map(({ kind, item: line, table }) => {
+      if (kind === 'table') {
+        prev = null;
+        return '\n' + tableToText(table) + '\n';
+      }
+      const movedOn = prev && (prev.section !== line.section || prev.column !== line.column);
+      prev = line;
+      return (movedOn ? '\n' : '') + sanitizeText(line.contents).replace(/\n$/, '');
+    })
+    .join('\n');
+}
+
+/**
+ * Plain text rendering of a detected table, one row per line
+ */
+function tableToText(table) {
+  return table.rows.map(row => row.join(' | ')).join('\n');
+}
+
+/**
+ * Group reading-ordered text lines (see analyzeLayout) into paragraphs
+ * using multiple heuristics. This provides structured paragraph data with
+ * bounding boxes and column index, and classifies each block as a heading
+ * (with level), list item, caption or paragraph
  */
-function groupLinesIntoParagraphs(textLines) {
+function groupLinesIntoParagraphs(textLines, options = {}) {
+  const { includeLines = false } = options;
+
   if (textLines.length === 0) return [];
 
   // Calculate average line height for the page
   const avgHeight = textLines.reduce((sum, line) => sum + line.height, 0) / textLines.length;
 
-  // Calculate average vertical gap between lines
+  // Calculate average vertical gap between lines of the same column
   const gaps = [];
   for (let i = 1; i < textLines.length; i++) {
+    if (changesColumn(textLines[i - 1], textLines[i])) continue;
     const prevBottom = textLines[i - 1].top + textLines[i - 1].height;
     const gap = textLines[i].top - prevBottom;
     gaps.push(gap);
   }
-  const avgGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+  const avgGap = gaps.length ? gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : 0;
 
   const paragraphs = [];
   let currentParagraph = {
@@ -438,6 +2300,9 @@ function groupLinesIntoParagraphs(textLines) {
     const prevContents = sanitizeText(prevLine.contents);
     const prevEndsWithPunctuation = /[.!?]$/.test(prevContents.trim());
 
+    // A bullet or number at the start of a line always opens a new list item
+    const startsListItem = !!detectListMarker(sanitizeText(currentLine.contents));
+
     // Determine if this is a paragraph break based on multiple signals
     const isParagraphBreak = (
       // Large vertical gap (50% more than average)
@@ -453,7 +2318,13 @@ function groupLinesIntoParagraphs(textLines) {
       (gapRatio > 1.2 && prevEndsWithPunctuation) ||
 
       // Very large gap (definitely new paragraph)
-      (gap > avgHeight * 1.5)
+      (gap > avgHeight * 1.5) ||
+
+      // Bulleted or numbered list item
+      startsListItem ||
+
+      // Reading order moved to another column or layout section
+      changesColumn(prevLine, currentLine)
     );
 
     if (isParagraphBreak) {
@@ -495,27 +2366,177 @@ function groupLinesIntoParagraphs(textLines) {
   // Add last paragraph
   paragraphs.push(currentParagraph);
 
-  // Clean up and format paragraphs
-  return paragraphs.map(p => ({
-    text: p.text.trim(),
-    bbox: p.bbox,
-    lineCount: p.lines.length,
-  }));
+  // Body text height is the most common line height, so headings and
+  // captions can be measured against it
+  const bodyHeight = median(textLines.map(line => line.height));
+
+  // Clean up, classify and format paragraphs
+  return paragraphs.map(p => {
+    const text = p.text.trim();
+    // Kept running headers, footers and page numbers keep their type
+    const block = p.lines.every(line => line.running)
+      ? { type: p.lines[0].running, level: false }
+      : classifyParagraph(text, p.lines, bodyHeight);
+
+    return {
+      ...block,
+      text,
+      bbox: p.bbox,
+      lineCount: p.lines.length,
+      column: p.lines[0].column ?? 0,
+      region: p.lines[0].region ?? 'fullWidth',
+      ...(includeLines ? { lines: p.lines.map(toLineBox) } : {}),
+    };
+  });
+}
+
+/**
+ * Text and bounding box of a single line, for coordinate-preserving output
+ */
+function toLineBox(line) {
+  return {
+    text: sanitizeText(line.contents).trim(),
+    bbox: {
+      left: line.left,
+      top: line.top,
+      width: line.width,
+      height: line.height,
+    },
+  };
+}
+
+/**
+ * Whether two consecutive reading-ordered lines belong to different
+ * columns or layout sections
+ */
+function changesColumn(prevLine, currentLine) {
+  return prevLine.section !== currentLine.section || prevLine.column !== currentLine.column;
+}
+
+/**
+ * Detect a bullet or list number at the start of a line
+ * Returns the list type ('bullet' or 'numbered') or null
+ */
+function detectListMarker(text) {
+  const trimmed = text.trim();
+
+  if (/^[•◦▪▫‣⁃●○■□►▸✓✔*–-]\s+\S/.test(trimmed)) {
+    return 'bullet';
+  }
+
+  // 1. / 1) / (1) / a. / (b) / iv. / (A)
+  if (/^(\(?\d{1,3}[.)]|\(?[a-z][.)]|\(?[ivxlc]{1,5}[.)]|\([A-Z]\))\s+\S/.test(trimmed)) {
+    return 'numbered';
+  }
+
+  return null;
+}
+
+/**
+ * Classify a paragraph as a heading, list item, caption or body paragraph
+ * Uses the line height relative to body text, length and punctuation
+ * @param {string} text - Paragraph text
+ * @param {object[]} lines - Text lines making up the paragraph
+ * @param {number} bodyHeight - Median line height of the page
+ * @returns {object} { type, level } plus listType for list items
+ */
+function classifyParagraph(text, lines, bodyHeight) {
+  const avgLineHeight = lines.reduce((sum, line) => sum + line.height, 0) / lines.length;
+  const sizeRatio = bodyHeight > 0 ? avgLineHeight / bodyHeight : 1;
+
+  if (/^(fig(ure)?|table|plate|chart|exhibit|illustration|photo)\.?\s*[\dIVXLC]+[a-z]?\s*[.:\-–—]/i.test(text)) {
+    return { type: 'caption', level: false };
+  }
+
+  const level = detectHeading(text, lines.length, sizeRatio);
+  if (level) {
+    return { type: 'heading', level };
+  }
+
+  const listType = detectListMarker(text);
+  if (listType) {
+    return { type: 'listItem', level: false, listType };
+  }
+
+  return { type: 'paragraph', level: false };
+}
+
+/**
+ * Detect whether a paragraph is a heading and which level (1-6) it has
+ * Larger text maps to higher levels; body-sized headings are recognized
+ * by section numbering ("2.1 Methods") or all-caps text
+ * @returns {number|false} Heading level, or false for non-headings
+ */
+function detectHeading(text, lineCount, sizeRatio) {
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+  const endsWithPunctuation = /[.!?,;]$/.test(text);
+
+  const isShort = text.length < 120 && wordCount <= 15 && lineCount <= 3;
+  if (!isShort || endsWithPunctuation || !/\p{L}/u.test(text)) {
+    return false;
+  }
+
+  // Font size relative to body text
+  if (sizeRatio >= 2.0) return 1;
+  if (sizeRatio >= 1.6) return 2;
+  if (sizeRatio >= 1.35) return 3;
+  if (sizeRatio >= 1.15) return 4;
+
+  // Body-sized headings must be a single line
+  if (lineCount > 1 || sizeRatio < 0.9) {
+    return false;
+  }
+
+  // Numbered section headings: "3 Results", "3.2 Results", "3.2.1 Results"
+  const section = text.match(/^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+\p{Lu}/u);
+  if (section) {
+    const depth = section[1].split('.').length;
+    return Math.min(6, 3 + depth);
+  }
+
+  const letters = text.replace(/[^\p{L}]/gu, '');
+  if (letters.length >= 3 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+    return 5;
+  }
+
+  return false;
+}
+
+/**
+ * Build a page outline from classified paragraphs
+ * Each entry points back to its paragraph for table-of-contents links
+ */
+function buildOutline(paragraphs) {
+  return paragraphs
+    .map((paragraph, paragraphIndex) => ({ paragraph, paragraphIndex }))
+    .filter(({ paragraph }) => paragraph.type === 'heading')
+    .map(({ paragraph, paragraphIndex }) => ({
+      level: paragraph.level,
+      text: paragraph.text,
+      paragraphIndex,
+      bbox: paragraph.bbox,
+    }));
 }
 
 /**
  * Get JWT for a demo document
- * This assumes you have a document already uploaded to Document Engine
+ * This assumes you have a document already uploaded to Document Engine.
+ * It isn't uploaded through the backend, so only admins can access it
  */
-app.get('/api/demo-jwt', (req, res) => {
+app.get('/api/demo-jwt', async (req, res) => {
   try {
+    // Use a default document ID for demo purposes
+    // Replace 'demo-document' with an actual document ID from your Document Engine
+    const documentId = 'demo-document';
+
+    if (!await canAccessDocument(documentId, req.user)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
     if (!privateKey) {
       return res.status(500).json({ error: 'JWT private key not configured' });
     }
 
-    // Use a default document ID for demo purposes
-    // Replace 'demo-document' with an actual document ID from your Document Engine
-    const documentId = 'demo-document';
     const token = generateJWT(documentId);
 
     res.json({
@@ -535,7 +2556,19 @@ app.listen(PORT, () => {
   console.log(`📄 Document Engine URL: ${process.env.DOCUMENT_ENGINE_URL}`);
   console.log(`\nAvailable endpoints:`);
   console.log(`  GET  /health - Health check`);
+  console.log(`  POST /api/session - Sign in with an API key, GET the signed-in user`);
   console.log(`  POST /api/jwt - Generate JWT for a document`);
+  console.log(`  GET  /api/documents - List the user's documents`);
   console.log(`  POST /api/documents/upload - Upload a document`);
-  console.log(`  GET  /api/demo-jwt - Get a demo JWT\n`);
+  console.log(`  DELETE /api/documents/:documentId - Delete a document`);
+  console.log(`  POST /api/documents/:documentId/extract - Start a text extraction job`);
+  console.log(`  POST /api/documents/:documentId/extract/stream - Stream extracted pages as NDJSON`);
+  console.log(`  GET  /api/jobs/:jobId - Job status and result`);
+  console.log(`  POST /api/jobs/:jobId/cancel - Cancel a job`);
+  console.log(`  GET  /api/documents/:documentId/export - Export text as md, html, txt, json, hocr or alto`);
+  console.log(`  GET  /api/documents/:documentId/corrections - Latest corrections of every page`);
+  console.log(`  GET|POST /api/documents/:documentId/pages/:pageIndex/corrections - Correction history, save corrections`);
+  console.log(`  POST /api/documents/:documentId/pages/:pageIndex/corrections/revert - Revert a page's corrections`);
+  console.log(`  GET  /api/demo-jwt - Get a demo JWT`);
+  console.log(`\n/api routes ${auth.enabled ? 'require an API key or session token (Authorization: Bearer <key> or X-API-Key)' : 'are not authenticated'}\n`);
 });
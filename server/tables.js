@@ -0,0 +1,286 @@
+/**
+ * Table detection for text lines returned by Document Engine /pages/text
+ *
+ * A table is a run of consecutive rows that each hold two or more cells
+ * (lines sitting side by side with a clear gap), where the cells line up in
+ * the same vertical bands from row to row and the rows are evenly spaced.
+ */
+import { median } from './layout.js';
+
+// Minimum rows and columns for a run of rows to count as a table
+const MIN_TABLE_ROWS = 3;
+const MIN_TABLE_COLUMNS = 2;
+
+// Share of rows that must fill at least two columns
+const MIN_MULTI_CELL_ROW_RATIO = 0.6;
+
+// Row pitch may vary up to this multiple of the median pitch
+const MAX_ROW_PITCH_RATIO = 2.5;
+
+// Wide cells with more words than this are treated as prose, not table content
+const MAX_CELL_WORDS = 5;
+
+/**
+ * Detect tables on a page and separate their lines from the remaining text
+ * @param {object[]} textLines - Non-empty text lines with left/top/width/height
+ * @returns {object} { tables: [{ bbox, rows: [[cell...]], lines }], lines }
+ *   tables[].lines: the input lines making up the table, row by row
+ *   lines: the input lines that are not part of any table
+ */
+export function detectTables(textLines) {
+  if (textLines.length < MIN_TABLE_ROWS * MIN_TABLE_COLUMNS) {
+    return { tables: [], lines: textLines };
+  }
+
+  const medianHeight = median(textLines.map(line => line.height));
+  const extentLeft = Math.min(...textLines.map(line => line.left));
+  const extentRight = Math.max(...textLines.map(line => line.left + line.width));
+  const proseWidth = (extentRight - extentLeft) * 0.35;
+
+  const rows = groupIntoRows(textLines, medianHeight)
+    .map(row => ({
+      ...row,
+      cells: row.cells.filter(cell => !(wordCount(cell.text) > MAX_CELL_WORDS && cell.width > proseWidth)),
+    }));
+
+  const tables = [];
+  const tableLines = new Set();
+
+  for (const run of findRowRuns(rows, medianHeight)) {
+    const table = buildTable(run);
+    if (!table) continue;
+
+    const lines = run.flatMap(row => row.cells.flatMap(cell => cell.lines));
+    tables.push({ bbox: table.bbox, rows: table.rows, lines });
+    lines.forEach(line => tableLines.add(line));
+  }
+
+  return {
+    tables,
+    lines: textLines.filter(line => !tableLines.has(line)),
+  };
+}
+
+/**
+ * Merge tables into a reading-ordered list of lines or paragraphs. Each table
+ * goes before the first item below it that shares its horizontal extent
+ * @param {object[]} items - Reading-ordered items
+ * @param {object[]} tables - Tables from detectTables
+ * @param {function} getBox - Returns an item's { left, top, width }
+ * @returns {object[]} [{ kind: 'item', item } | { kind: 'table', table }]
+ */
+export function interleaveTables(items, tables, getBox = item => item) {
+  const pending = [...tables];
+  const entries = [];
+
+  for (const item of items) {
+    const box = getBox(item);
+    for (let i = 0; i < pending.length; i++) {
+      const { bbox } = pending[i];
+      const below = box.top >= bbox.top + bbox.height;
+      const overlaps = box.left < bbox.left + bbox.width && box.left + box.width > bbox.left;
+      if (below && overlaps) {
+        entries.push({ kind: 'table', table: pending[i] });
+        pending.splice(i--, 1);
+      }
+    }
+    entries.push({ kind: 'item', item });
+  }
+  pending.forEach(table => entries.push({ kind: 'table', table }));
+
+  return entries;
+}
+
+/**
+ * Group lines into visual rows, merging lines on a row that are too close
+ * together to be separate cells
+ */
+function groupIntoRows(textLines, medianHeight) {
+  const minCellGap = medianHeight * 0.6;
+  const sorted = [...textLines].sort((a, b) => a.top - b.top);
+  const rows = [];
+
+  for (const line of sorted) {
+    const row = rows.find(r => verticalOverlap(r.anchor, line) > Math.min(r.anchor.height, line.height) * 0.5);
+    if (row) {
+      row.lines.push(line);
+    } else {
+      rows.push({ anchor: line, lines: [line] });
+    }
+  }
+
+  return rows.map(row => {
+    const lines = row.lines.sort((a, b) => a.left - b.left);
+    const cells = [];
+
+    for (const line of lines) {
+      const last = cells[cells.length - 1];
+      if (last && line.left - (last.left + last.width) < minCellGap) {
+        const right = Math.max(last.left + last.width, line.left + line.width);
+        last.text = `${last.text} ${line.contents.trim()}`;
+        last.width = right - last.left;
+        last.lines.push(line);
+      } else {
+        cells.push({ text: line.contents.trim(), left: line.left, width: line.width, lines: [line] });
+      }
+    }
+
+    return {
+      top: Math.min(...lines.map(line => line.top)),
+      bottom: Math.max(...lines.map(line => line.top + line.height)),
+      cells,
+    };
+  });
+}
+
+/**
+ * Split rows into runs of consecutive multi-cell rows. Single-cell rows
+ * beside the run (e.g. text in a neighboring column) don't interrupt it
+ */
+function findRowRuns(rows, medianHeight) {
+  const runs = [];
+  let current = [];
+
+  for (const row of rows) {
+    const prev = current[current.length - 1];
+    const contiguous = prev && row.top - prev.bottom < medianHeight * 3;
+
+    if (prev && contiguous && row.cells.length < MIN_TABLE_COLUMNS && !overlapsRun(current, row)) {
+      continue;
+    }
+
+    if (row.cells.length >= MIN_TABLE_COLUMNS && (!prev || contiguous)) {
+      current.push(row);
+      continue;
+    }
+
+    if (current.length >= MIN_TABLE_ROWS) runs.push(current);
+    current = row.cells.length >= MIN_TABLE_COLUMNS ? [row] : [];
+  }
+
+  if (current.length >= MIN_TABLE_ROWS) runs.push(current);
+
+  return runs;
+}
+
+/**
+ * Whether any cell of a row overlaps the horizontal extent of a run
+ */
+function overlapsRun(run, row) {
+  const cells = run.flatMap(r => r.cells);
+  const left = Math.min(...cells.map(cell => cell.left));
+  const right = Math.max(...cells.map(cell => cell.left + cell.width));
+
+  return row.cells.some(cell => cell.left < right && cell.left + cell.width > left);
+}
+
+/**
+ * Build a table from a run of rows, or return null when the cells don't
+ * line up into columns the way a table's do
+ */
+function buildTable(run) {
+  // Column bands come from the most common row shape, so a header cell that
+  // spans several columns doesn't merge them
+  const counts = new Map();
+  run.forEach(row => counts.set(row.cells.length, (counts.get(row.cells.length) || 0) + 1));
+  const modalCount = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+  const bands = columnBands(run.filter(row => row.cells.length === modalCount));
+
+  if (bands.length < MIN_TABLE_COLUMNS) return null;
+
+  const rows = run.map(row => {
+    const cells = bands.map(() => []);
+    row.cells.forEach(cell => {
+      const band = bestBand(bands, cell);
+      cells[band].push(cell.text);
+    });
+    return cells.map(parts => parts.join(' '));
+  });
+
+  const multiCellRows = rows.filter(cells => cells.filter(Boolean).length >= MIN_TABLE_COLUMNS).length;
+  if (multiCellRows / rows.length < MIN_MULTI_CELL_ROW_RATIO) return null;
+
+  // Rows of a table are evenly spaced
+  const pitches = run.slice(1).map((row, i) => row.top - run[i].top);
+  const medianPitch = median(pitches);
+  if (pitches.some(pitch => pitch > medianPitch * MAX_ROW_PITCH_RATIO)) return null;
+
+  // Two side-by-side text columns look like a two-column table; require
+  // short or numeric cells before calling it one
+  const cellTexts = rows.flat().filter(Boolean);
+  const medianWords = median(cellTexts.map(wordCount));
+  const hasNumericColumn = bands.some((band, index) => {
+    const values = rows.map(cells => cells[index]).filter(Boolean);
+    return values.length > 0 &&
+      values.filter(value => /^[-+(]?[$€£¥]?\s?[\d.,]+%?\)?$/.test(value)).length / values.length >= 0.6;
+  });
+  if (bands.length === 2 && medianWords > 3 && !hasNumericColumn) return null;
+  if (medianWords > 5) return null;
+
+  // Lines of running text fill their column from edge to edge, table cells
+  // of several words rarely do
+  const fills = run.flatMap(row => row.cells.map(cell => {
+    const band = bands[bestBand(bands, cell)];
+    return cell.width / (band.end - band.start);
+  }));
+  if (medianWords >= 3 && median(fills) >= 0.85) return null;
+
+  const left = Math.min(...run.flatMap(row => row.cells.map(cell => cell.left)));
+  const right = Math.max(...run.flatMap(row => row.cells.map(cell => cell.left + cell.width)));
+  const top = run[0].top;
+  const bottom = run[run.length - 1].bottom;
+
+  return {
+    bbox: { left, top, width: right - left, height: bottom - top },
+    rows,
+  };
+}
+
+/**
+ * Merge the horizontal extents of all cells into vertical bands separated by
+ * whitespace; works for left-, right- and center-aligned columns alike
+ */
+function columnBands(rows) {
+  const intervals = rows
+    .flatMap(row => row.cells.map(cell => ({ start: cell.left, end: cell.left + cell.width })))
+    .sort((a, b) => a.start - b.start);
+
+  const bands = [];
+  for (const interval of intervals) {
+    const last = bands[bands.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      bands.push({ ...interval });
+    }
+  }
+
+  return bands;
+}
+
+/**
+ * Index of the band a cell overlaps most, or the nearest one
+ */
+function bestBand(bands, cell) {
+  const cellEnd = cell.left + cell.width;
+  let best = 0;
+  let bestScore = -Infinity;
+
+  bands.forEach((band, index) => {
+    const overlap = Math.min(band.end, cellEnd) - Math.max(band.start, cell.left);
+    if (overlap > bestScore) {
+      best = index;
+      bestScore = overlap;
+    }
+  });
+
+  return best;
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function verticalOverlap(a, b) {
+  return Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top);
+}
@@ -0,0 +1,138 @@
+/**
+ * Checks for uploaded files before they are sent to Document Engine
+ *
+ * Uploads can be PDFs, JPEG, PNG or TIFF images or DOCX files; everything
+ * but PDF is converted to PDF by Document Engine. The client's file name and
+ * MIME type are not trusted: the type comes from the file's signature. A PDF
+ * must also end with an %%EOF marker after a startxref offset (files cut off
+ * mid-upload don't) and not be encrypted. Rejected files throw an Error with
+ * an HTTP `status` and a machine-readable `code`:
+ *   FILE_MISSING           400 - no file in the request
+ *   INVALID_UPLOAD         400 - more than one file, or not in the "file" field
+ *   FILE_TOO_LARGE         413 - over UPLOAD_MAX_MB
+ *   UNSUPPORTED_FILE_TYPE  415 - none of the SOURCE_TYPES
+ *   PDF_MALFORMED          422 - truncated, or Document Engine can't open it
+ *   PDF_ENCRYPTED          422 - password-protected or otherwise encrypted
+ *   CONVERSION_FAILED      422 - Document Engine couldn't convert it to PDF
+ *   TOO_MANY_PAGES         422 - over UPLOAD_MAX_PAGES
+ */
+
+// File types that can be uploaded: display name, MIME type and file extensions
+export const SOURCE_TYPES = {
+  pdf: { name: 'PDF', mimeType: 'application/pdf', extensions: ['pdf'] },
+  jpeg: { name: 'JPEG', mimeType: 'image/jpeg', extensions: ['jpg', 'jpeg'] },
+  png: { name: 'PNG', mimeType: 'image/png', extensions: ['png'] },
+  tiff: { name: 'TIFF', mimeType: 'image/tiff', extensions: ['tif', 'tiff'] },
+  docx: {
+    name: 'DOCX',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['docx'],
+  },
+};
+
+// Leading bytes of the image formats; PDF and DOCX are recognized separately
+const IMAGE_SIGNATURES = {
+  jpeg: [Buffer.from([0xFF, 0xD8, 0xFF])],
+  png: [Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])],
+  tiff: [Buffer.from('II*\0', 'latin1'), Buffer.from('MM\0*', 'latin1')],
+};
+
+// A ZIP local file header; DOCX files are ZIP archives
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1');
+
+// PDF readers accept the %PDF- signature anywhere in the first 1024 bytes
+const SIGNATURE_SEARCH_BYTES = 1024;
+
+// startxref and %%EOF must be this close to the end of the file
+const TRAILER_SEARCH_BYTES = 2048;
+
+// An encryption dictionary in a trailer or cross-reference stream:
+// "/Encrypt 12 0 R" or an inline "/Encrypt <<"
+const ENCRYPT_PATTERN = /^\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/;
+
+/**
+ * Check an uploaded file and tell its type from its content
+ * @param {Buffer} buffer - The uploaded file
+ * @returns {string} A key of SOURCE_TYPES
+ * @throws {Error} With status and code (see above) for unsupported types
+ *   and broken PDFs
+ */
+export function validateUpload(buffer) {
+  const sourceType = detectSourceType(buffer);
+  if (!sourceType) {
+    throw uploadError(415, 'UNSUPPORTED_FILE_TYPE',
+      `Unsupported file type; upload ${Object.values(SOURCE_TYPES).map(({ name }) => name).join(', ')}`);
+  }
+
+  if (sourceType === 'pdf') validatePdf(buffer);
+  return sourceType;
+}
+
+/**
+ * The uploaded file's name. Browsers send names as UTF-8, but multer reads
+ * them as Latin-1
+ */
+export function uploadFilename(file) {
+  return Buffer.from(file.originalname, 'latin1').toString('utf8');
+}
+
+/**
+ * Check that a PDF is complete and unencrypted
+ */
+function validatePdf(buffer) {
+  const tail = buffer.subarray(-TRAILER_SEARCH_BYTES).toString('latin1');
+  if (!/startxref\s+\d+\s+%%EOF/.test(tail)) {
+    throw uploadError(422, 'PDF_MALFORMED', 'The PDF is damaged or incomplete (no end-of-file trailer)');
+  }
+
+  if (isEncrypted(buffer)) {
+    throw uploadError(422, 'PDF_ENCRYPTED', 'Encrypted or password-protected PDFs are not supported');
+  }
+}
+
+/**
+ * Error for a rejected upload
+ * @param {number} status - HTTP status
+ * @param {string} code - One of the codes above
+ * @param {string} message
+ */
+export function uploadError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * The file type from its signature, or null
+ */
+function detectSourceType(buffer) {
+  const head = buffer.subarray(0, SIGNATURE_SEARCH_BYTES);
+  if (/%PDF-\d\.\d/.test(head.toString('latin1'))) return 'pdf';
+
+  const image = Object.keys(IMAGE_SIGNATURES)
+    .find(type => IMAGE_SIGNATURES[type].some(signature => head.subarray(0, signature.length).equals(signature)));
+  if (image) return image;
+
+  // Entry names in a ZIP are stored uncompressed; other ZIP-based formats
+  // (XLSX, ODT, ...) don't have a word/ folder
+  if (head.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE) && buffer.includes('word/document.xml')) {
+    return 'docx';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a PDF has an encryption dictionary. The trailer of a linearized
+ * or incrementally updated file isn't necessarily at the end, so the whole
+ * file is searched
+ */
+function isEncrypted(buffer) {
+  for (let index = buffer.indexOf('/Encrypt'); index !== -1; index = buffer.indexOf('/Encrypt', index + 1)) {
+    if (ENCRYPT_PATTERN.test(buffer.subarray(index, index + 32).toString('latin1'))) {
+      return true;
+    }
+  }
+  return false;
+}
@@ -1,5 +1,8 @@
 import { useEffect, useRef, useState } from 'react';
+import { API_URL, authHeaders, getSession, saveSession, clearSession } from './config';
+import SignIn from './components/SignIn';
 import DocumentUpload from './components/DocumentUpload';
+import DocumentLibrary from './components/DocumentLibrary';
 import TextExtraction from './components/TextExtraction';
 
 /**
@@ -9,11 +12,82 @@ import TextExtraction from './components/TextExtraction';
  * 1. Uploading documents to Document Engine
  * 2. Fetching JWT from the backend
  * 3. Loading documents with Instant sync for real-time collaboration
+ * 4. Linking extracted paragraphs to their location in the viewer
+ * 5. A library of the user's documents to switch between
+ * 6. Signing in with a per-user API key, exchanged for a session token
  */
 function App() {
   const containerRef = useRef(null);
+  // Signed-in user ({ token, user, admin, expiresAt }): undefined while the
+  // stored session is checked, null when signed out
+  const [session, setSession] = useState(undefined);
+  const [signInMessage, setSignInMessage] = useState(null);
   const [currentDocument, setCurrentDocument] = useState(null);
   const [instance, setInstance] = useState(null);
+  // Viewer state followed by the text extraction panel
+  const [viewerPageIndex, setViewerPageIndex] = useState(0);
+  const [viewerSelection, setViewerSelection] = useState(null);
+  // Paragraph highlighted in the viewer ({ pageIndex, bbox }) and the zoom it was drawn at
+  const [highlight, setHighlight] = useState(null);
+  const [zoomLevel, setZoomLevel] = useState(1);
+  // Changed to reload the document library
+  const [libraryVersion, setLibraryVersion] = useState(0);
+
+  const handleSignIn = (newSession) => {
+    saveSession(newSession);
+    setSession(newSession);
+    setSignInMessage(null);
+  };
+
+  const signOut = async (message = null) => {
+    if (instance) {
+      await window.NutrientViewer.unload(containerRef.current);
+      setInstance(null);
+    }
+    setCurrentDocument(null);
+    clearSession();
+    setSession(null);
+    setSignInMessage(message);
+  };
+
+  // Check the stored session; without authentication on the backend any
+  // request passes and no sign-in is needed
+  useEffect(() => {
+    const stored = getSession();
+
+    fetch(`${API_URL}/api/session`, { headers: authHeaders() })
+      .then(async (response) => {
+        const data = await response.json();
+        if (response.ok) {
+          setSession({ token: stored?.token ?? null, ...data });
+          return;
+        }
+
+        clearSession();
+        setSession(null);
+        if (response.status === 503) {
+          setSignInMessage(data.error);
+        } else if (stored) {
+          setSignInMessage('Your session has expired. Sign in again.');
+        }
+      })
+      .catch((err) => {
+        console.error('Error checking session:', err);
+        setSession(null);
+        setSignInMessage('The server could not be reached');
+      });
+  }, []);
+
+  // Sign out when the session expires
+  useEffect(() => {
+    if (!session?.expiresAt) return;
+
+    const remaining = new Date(session.expiresAt) - Date.now();
+    if (remaining > MAX_TIMEOUT_MS) return;
+
+    const timer = setTimeout(() => signOut('Your session has expired. Sign in again.'), Math.max(0, remaining));
+    return () => clearTimeout(timer);
+  }, [session]);
 
   // Load document in the viewer
   const loadDocument = async (documentData) => {
@@ -58,19 +132,102 @@ function App() {
     }
   };
 
-  // Handle document upload
-  const handleDocumentUploaded = (uploadedDocument) => {
-    console.log('Document uploaded, setting current document:', uploadedDocument);
-    setCurrentDocument(uploadedDocument);
+  // Handle document upload; of a batch of files only the first is opened
+  const handleDocumentUploaded = (uploadedDocument, { open = true } = {}) => {
+    setLibraryVersion((version) => version + 1);
+    if (open) {
+      console.log('Document uploaded, setting current document:', uploadedDocument);
+      setCurrentDocument(uploadedDocument);
+    }
+  };
+
+  // Close the viewer when the open document is deleted
+  const handleDocumentDeleted = async (documentId) => {
+    if (currentDocument?.documentId !== documentId) return;
+
+    if (instance) {
+      await window.NutrientViewer.unload(containerRef.current);
+      setInstance(null);
+    }
+    setCurrentDocument(null);
   };
 
   // Handle extraction complete - log the original JSON data
   const handleExtractionComplete = (extractionData) => {
+    setLibraryVersion((version) => version + 1);
     console.log('=== ORIGINAL EXTRACTED DATA (JSON) ===');
     console.log(JSON.stringify(extractionData, null, 2));
     console.log('======================================');
   };
 
+  // Remember the open document so it is opened again after a reload
+  useEffect(() => {
+    if (currentDocument) {
+      localStorage.setItem(LAST_DOCUMENT_KEY, currentDocument.documentId);
+    } else {
+      localStorage.removeItem(LAST_DOCUMENT_KEY);
+    }
+  }, [currentDocument]);
+
+  // Follow the viewer's page, zoom and text selection
+  useEffect(() => {
+    if (!instance) return;
+
+    setViewerPageIndex(instance.viewState.currentPageIndex);
+    setViewerSelection(null);
+    setHighlight(null);
+    setZoomLevel(instance.currentZoomLevel);
+
+    const handlePageChange = (pageIndex) => setViewerPageIndex(pageIndex);
+    const handleZoomChange = () => setZoomLevel(instance.currentZoomLevel);
+    const handleTextSelection = async (textSelection) => {
+      if (!textSelection) return;
+
+      // Rects of the first selected page, in PDF points like the paragraph boxes
+      const rectsPerPage = await textSelection.getSelectedRectsPerPage();
+      const selected = rectsPerPage.first();
+      if (!selected) return;
+
+      setViewerSelection({
+        pageIndex: selected.pageIndex,
+        rects: selected.rects.toArray().map(({ left, top, width, height }) => ({ left, top, width, height })),
+      });
+    };
+
+    instance.addEventListener('viewState.currentPageIndex.change', handlePageChange);
+    instance.addEventListener('viewState.zoom.change', handleZoomChange);
+    instance.addEventListener('textSelection.change', handleTextSelection);
+
+    return () => {
+      instance.removeEventListener('viewState.currentPageIndex.change', handlePageChange);
+      instance.removeEventListener('viewState.zoom.change', handleZoomChange);
+      instance.removeEventListener('textSelection.change', handleTextSelection);
+    };
+  }, [instance]);
+
+  // Draw the highlighted paragraph over the page; redrawn when the zoom changes
+  useEffect(() => {
+    if (!instance || !highlight) return;
+
+    instance.setCustomOverlayItem(createHighlightOverlay(highlight, zoomLevel));
+
+    return () => {
+      try {
+        instance.removeCustomOverlayItem(HIGHLIGHT_OVERLAY_ID);
+      } catch (err) {
+        // The instance was already unloaded
+      }
+    };
+  }, [instance, highlight, zoomLevel]);
+
+  // Clicking a paragraph in the text panel scrolls the viewer to it
+  const handleParagraphSelect = (target) => {
+    setHighlight(target);
+    if (instance && target) {
+      instance.jumpToRect(target.pageIndex, new window.NutrientViewer.Geometry.Rect(target.bbox));
+    }
+  };
+
   // Load document when currentDocument changes and container is ready
   useEffect(() => {
     const container = containerRef.current;
@@ -89,11 +246,22 @@ function App() {
     };
   }, [currentDocument]);
 
+  if (session === undefined) {
+    return (
+      <div style={{ padding: '20px', fontFamily: 'sans-serif', color: '#666' }}>Loading...</div>
+    );
+  }
+
+  if (!session) {
+    return <SignIn onSignIn={handleSignIn} message={signInMessage} />;
+  }
+
   // Always show all elements in DOM
   return (
     <div style={{ height: '100vh', width: '100vw', display: 'flex', flexDirection: 'column' }}>
       {/* Toolbar - always visible */}
       <div style={{
+        position: 'relative',
         padding: '10px 20px',
         background: '#fff',
         borderBottom: '1px solid #ddd',
@@ -109,6 +277,11 @@ function App() {
             <>
               <span style={{ fontWeight: 'bold' }}>Current Document:</span>
               <span>{currentDocument.filename}</span>
+              {currentDocument.sourceType && currentDocument.sourceType !== 'pdf' && (
+                <span style={{ fontSize: '12px', color: '#666' }}>
+                  (converted from {currentDocument.sourceType.toUpperCase()})
+                </span>
+              )}
               <div style={{ flexBasis: '100%', height: 0 }}></div>
               <span style={{
                 fontSize: '12px',
@@ -126,15 +299,39 @@ function App() {
           )}
         </div>
 
-        <DocumentUpload onDocumentUploaded={handleDocumentUploaded} />
+        {session.token && (
+          <div style={{ position: 'absolute', right: '20px', display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
+            <span style={{ color: '#666' }}>
+              Signed in as <strong>{session.user}</strong>{session.admin ? ' (admin)' : ''}
+            </span>
+            <button
+              onClick={() => signOut()}
+              style={{ border: '1px solid #ccc', background: '#fff', borderRadius: '4px', padding: '4px 10px', cursor: 'pointer' }}
+            >
+              Sign out
+            </button>
+          </div>
+        )}
       </div>
 
-      {/* Content Area - PDF Viewer and Text Extraction side by side - always in DOM */}
+      {/* Content Area - Library, PDF Viewer and Text Extraction side by side - always in DOM */}
       <div style={{ flex: 1, display: 'flex', width: '100%', minHeight: 0, overflow: 'hidden' }}>
-        {/* PDF Viewer - Left Side */}
+        {/* Upload and Document Library - Sidebar */}
+        <div style={{ width: '260px', flexShrink: 0, height: '100%', overflow: 'auto', borderRight: '1px solid #ddd', background: '#fff' }}>
+          <DocumentUpload onDocumentUploaded={handleDocumentUploaded} />
+          <DocumentLibrary
+            currentDocumentId={currentDocument?.documentId ?? null}
+            refreshKey={libraryVersion}
+            initialDocumentId={initialDocumentId}
+            onOpen={setCurrentDocument}
+            onDeleted={handleDocumentDeleted}
+          />
+        </div>
+
+        {/* PDF Viewer - Middle */}
         <div
           ref={containerRef}
-          style={{ width: '50%', height: '100%', borderRight: '1px solid #ddd', background: '#f5f5f5' }}
+          style={{ flex: 1, minWidth: 0, height: '100%', borderRight: '1px solid #ddd', background: '#f5f5f5' }}
         >
           {!currentDocument && (
             <div style={{
@@ -146,17 +343,21 @@ function App() {
               color: '#666',
               fontSize: '14px'
             }}>
-              Upload a PDF to view it here
+              Upload a document or choose one from the library to view it here
             </div>
           )}
         </div>
 
         {/* Text Extraction - Right Side */}
-        <div style={{ width: '50%', height: '100%', overflow: 'auto', background: '#fafafa' }}>
+        <div style={{ flex: 1, minWidth: 0, height: '100%', overflow: 'auto', background: '#fafafa' }}>
           {currentDocument ? (
             <TextExtraction
               documentId={currentDocument.documentId}
               onExtractionComplete={handleExtractionComplete}
+              viewerPageIndex={instance ? viewerPageIndex : null}
+              viewerSelection={viewerSelection}
+              onParagraphHighlight={setHighlight}
+              onParagraphSelect={handleParagraphSelect}
             />
           ) : (
             <div style={{
@@ -177,4 +378,38 @@ function App() {
   );
 }
 
+const HIGHLIGHT_OVERLAY_ID = 'extracted-paragraph-highlight';
+
+// setTimeout can't wait longer than this; longer sessions aren't timed
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// localStorage key of the last opened document's id
+const LAST_DOCUMENT_KEY = 'lastDocumentId';
+
+// Read once: the effect that stores the open document overwrites it
+const initialDocumentId = localStorage.getItem(LAST_DOCUMENT_KEY);
+
+/**
+ * Overlay item outlining a paragraph's bounding box. Overlay nodes are sized
+ * in screen pixels, so the box is scaled by the current zoom level
+ */
+function createHighlightOverlay({ pageIndex, bbox }, zoomLevel) {
+  const node = document.createElement('div');
+  Object.assign(node.style, {
+    width: `${bbox.width * zoomLevel}px`,
+    height: `${bbox.height * zoomLevel}px`,
+    backgroundColor: 'rgba(59, 130, 246, 0.15)',
+    outline: '2px solid rgba(59, 130, 246, 0.8)',
+    borderRadius: '2px',
+    pointerEvents: 'none',
+  });
+
+  return new window.NutrientViewer.CustomOverlayItem({
+    id: HIGHLIGHT_OVERLAY_ID,
+    node,
+    pageIndex,
+    position: new window.NutrientViewer.Geometry.Point({ x: bbox.left, y: bbox.top }),
+  });
+}
+
 export default App;
@@ -0,0 +1,224 @@
+import { useEffect, useRef, useState } from 'react';
+import { API_URL, authHeaders } from '../config';
+
+/**
+ * Document Library Component
+ * Lists the user's documents from the backend's document registry with their
+ * size, page count, upload time and extraction status, and lets the user
+ * open or delete them. Opening a document fetches a JWT for it and calls
+ * onOpen({ documentId, jwt, documentEngineUrl, filename, sourceType, pageCount }).
+ * The list is reloaded when refreshKey changes and, while a document is
+ * being extracted, every few seconds. initialDocumentId is opened once the
+ * list has loaded if it is in it and no document is open yet
+ */
+function DocumentLibrary({ currentDocumentId, refreshKey, initialDocumentId = null, onOpen, onDeleted }) {
+  const [documents, setDocuments] = useState(null);
+  const [error, setError] = useState(null);
+  // Document being opened or deleted
+  const [pendingId, setPendingId] = useState(null);
+  const restoredRef = useRef(false);
+
+  const loadDocuments = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/documents`, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load documents');
+      }
+
+      setDocuments(data.documents);
+      setError(null);
+      return data.documents;
+    } catch (err) {
+      console.error('Error loading documents:', err);
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const openDocument = async (document) => {
+    if (document.documentId === currentDocumentId || pendingId) return;
+
+    setPendingId(document.documentId);
+    setError(null);
+    try {
+      const response = await fetch(`${API_URL}/api/jwt`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ documentId: document.documentId }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to open document');
+      }
+
+      onOpen?.({
+        ...data,
+        filename: document.filename,
+        sourceType: document.sourceType,
+        pageCount: document.pageCount,
+      });
+    } catch (err) {
+      console.error('Error opening document:', err);
+      setError(`${document.filename}: ${err.message}`);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const deleteDocument = async (document) => {
+    if (pendingId || !window.confirm(`Delete ${document.filename}? This can't be undone.`)) return;
+
+    setPendingId(document.documentId);
+    setError(null);
+    try {
+      const response = await fetch(`${API_URL}/api/documents/${document.documentId}`, {
+        method: 'DELETE',
+        headers: authHeaders(),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete document');
+      }
+
+      setDocuments((current) => current.filter(({ documentId }) => documentId !== document.documentId));
+      onDeleted?.(document.documentId);
+    } catch (err) {
+      console.error('Error deleting document:', err);
+      setError(`${document.filename}: ${err.message}`);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  useEffect(() => {
+    loadDocuments().then((loaded) => {
+      if (restoredRef.current || !loaded) return;
+      restoredRef.current = true;
+
+      const initial = loaded.find(({ documentId }) => documentId === initialDocumentId);
+      if (initial && !currentDocumentId) openDocument(initial);
+    });
+  }, [refreshKey]);
+
+  // Follow running extractions until they finish
+  const extracting = documents?.some(({ extraction }) => extraction.status === 'running');
+  useEffect(() => {
+    if (!extracting) return;
+
+    const timer = setInterval(loadDocuments, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [extracting]);
+
+  return (
+    <div style={{ padding: '0 12px 12px', fontFamily: 'sans-serif', fontSize: '13px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '4px 0 8px' }}>
+        <span style={{ fontWeight: 'bold', fontSize: '14px' }}>
+          Library{documents ? ` (${documents.length})` : ''}
+        </span>
+        <button
+          onClick={loadDocuments}
+          title="Reload the document list"
+          style={{ border: 'none', background: 'none', color: '#007bff', cursor: 'pointer', fontSize: '13px', padding: 0 }}
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ padding: '8px', marginBottom: '8px', backgroundColor: '#fee', color: '#c33', borderRadius: '4px' }}>
+          {error}
+        </div>
+      )}
+
+      {!documents && !error && <div style={{ color: '#666' }}>Loading documents...</div>}
+
+      {documents?.length === 0 && (
+        <div style={{ color: '#666' }}>No documents yet. Uploaded documents appear here.</div>
+      )}
+
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+        {documents?.map((document) => {
+          const current = document.documentId === currentDocumentId;
+          const { label, color } = EXTRACTION_STATUS[document.extraction.status];
+
+          return (
+            <li
+              key={document.documentId}
+              onClick={() => openDocument(document)}
+              style={{
+                padding: '8px',
+                marginBottom: '4px',
+                borderRadius: '4px',
+                border: `1px solid ${current ? '#007bff' : '#e0e0e0'}`,
+                background: current ? '#eef5ff' : '#fff',
+                cursor: current ? 'default' : 'pointer',
+                opacity: pendingId === document.documentId ? 0.6 : 1,
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '6px' }}>
+                <span
+                  title={document.filename}
+                  style={{ fontWeight: 'bold', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                >
+                  {document.filename}
+                </span>
+                <button
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    deleteDocument(document);
+                  }}
+                  title="Delete document"
+                  style={{ border: 'none', background: 'none', color: '#999', cursor: 'pointer', padding: 0, flexShrink: 0 }}
+                >
+                  ✕
+                </button>
+              </div>
+              <div style={{ color: '#666', fontSize: '12px', marginTop: '2px' }}>
+                {describeDocument(document)}
+              </div>
+              <div
+                title={document.extraction.error || undefined}
+                style={{ color, fontSize: '12px', marginTop: '2px' }}
+              >
+                {label}
+                {document.extraction.status === 'partial' &&
+                  ` (${document.extraction.pagesExtracted} of ${document.pageCount} pages)`}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+const REFRESH_INTERVAL_MS = 5000;
+
+// Labels for extraction.status in GET /api/documents (see server/documents.js)
+const EXTRACTION_STATUS = {
+  none: { label: 'Not extracted', color: '#999' },
+  running: { label: 'Extracting...', color: '#007bff' },
+  partial: { label: 'Partly extracted', color: '#b8860b' },
+  extracted: { label: 'Extracted ✓', color: '#28a745' },
+  failed: { label: 'Extraction failed ⚠', color: '#c33' },
+};
+
+/**
+ * Pages, size and upload time of a document, e.g. "12 pages · 1.4 MB · 19 Oct, 14:02"
+ */
+function describeDocument({ pageCount, size, uploadedAt }) {
+  const details = [];
+  if (pageCount) details.push(`${pageCount} ${pageCount === 1 ? 'page' : 'pages'}`);
+  if (size) details.push(formatSize(size));
+  details.push(new Date(uploadedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }));
+  return details.join(' · ');
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export default DocumentLibrary;
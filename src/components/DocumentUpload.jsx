@@ -1,90 +1,104 @@
 import { useState } from 'react';
-import { API_URL } from '../config';
+import { API_URL, authHeaders } from '../config';
 
 /**
  * Document Upload Component
- * Allows users to upload PDF files to Document Engine
+ * Allows users to upload PDFs, images (JPEG, PNG, TIFF) and DOCX files to
+ * Document Engine; the backend converts everything but PDF to PDF.
+ * Several files can be chosen or dropped at once; they are uploaded one
+ * after another with a progress bar each. onDocumentUploaded(data, { open })
+ * is called for every uploaded file, open being true for the first one of
+ * a batch
  */
 function DocumentUpload({ onDocumentUploaded }) {
-  const [uploading, setUploading] = useState(false);
-  const [error, setError] = useState(null);
+  // Files of the last batch: [{ id, name, status, progress, error }], status
+  // being 'queued', 'uploading', 'done' or 'error' and progress 0-1
+  const [uploads, setUploads] = useState([]);
+  const [dragging, setDragging] = useState(false);
 
-  const handleFileSelect = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
+  const uploading = uploads.some(({ status }) => status === 'queued' || status === 'uploading');
 
-    // Validate file type
-    if (file.type !== 'application/pdf') {
-      setError('Please select a PDF file');
-      return;
-    }
+  const updateUpload = (id, changes) => {
+    setUploads((current) => current.map((upload) => (upload.id === id ? { ...upload, ...changes } : upload)));
+  };
 
-    // Validate file size (max 50MB)
-    const maxSize = 50 * 1024 * 1024; // 50MB
-    if (file.size > maxSize) {
-      setError('File size must be less than 50MB');
-      return;
-    }
+  const uploadFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0 || uploading) return;
 
-    setUploading(true);
-    setError(null);
+    // Files the backend would reject anyway are not sent; the backend checks the content itself
+    const batch = files.map((file) => {
+      const error = checkFile(file);
+      return { id: nextUploadId++, file, name: file.name, status: error ? 'error' : 'queued', progress: 0, error };
+    });
+    setUploads(batch.map(({ file, ...upload }) => upload));
 
-    try {
-      // Create form data
-      const formData = new FormData();
-      formData.append('file', file);
+    let opened = false;
+    for (const { id, file, error } of batch) {
+      if (error) continue;
 
-      // Upload to backend
-      const response = await fetch(`${API_URL}/api/documents/upload`, {
-        method: 'POST',
-        body: formData,
-      });
+      updateUpload(id, { status: 'uploading' });
+      try {
+        const data = await uploadFile(file, (progress) => updateUpload(id, { progress }));
+        console.log('✓ Document uploaded successfully:', data);
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Upload failed');
+        updateUpload(id, { status: 'done', progress: 1 });
+        onDocumentUploaded?.(data, { open: !opened });
+        opened = true;
+      } catch (err) {
+        console.error('Upload error:', err);
+        updateUpload(id, { status: 'error', error: err.message });
       }
+    }
+  };
 
-      const data = await response.json();
+  const handleFileSelect = (event) => {
+    uploadFiles(event.target.files);
+    // Reset file input so the same files can be chosen again
+    event.target.value = '';
+  };
 
-      console.log('✓ Document uploaded successfully:', data);
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = uploading ? 'none' : 'copy';
+    setDragging(true);
+  };
 
-      // Notify parent component
-      if (onDocumentUploaded) {
-        onDocumentUploaded(data);
-      }
-    } catch (err) {
-      console.error('Upload error:', err);
-      setError(err.message);
-    } finally {
-      setUploading(false);
-      // Reset file input
-      event.target.value = '';
-    }
+  // Moving over the drop zone's own children also fires dragleave
+  const handleDragLeave = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) setDragging(false);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    uploadFiles(event.dataTransfer.files);
   };
 
   return (
-    <div style={{
-      padding: '20px',
-      textAlign: 'center',
-      fontFamily: 'sans-serif',
-    }}>
-      <div style={{
-        maxWidth: '500px',
-        margin: '0 auto',
-        padding: '30px',
-        border: '2px dashed #ccc',
-        borderRadius: '8px',
-        background: '#f9f9f9',
-      }}>
-        <h2 style={{ marginTop: 0 }}>Upload PDF Document</h2>
-        <p style={{ color: '#666', marginBottom: '20px' }}>
-          Select a PDF file to upload to Document Engine
+    <div style={{ padding: '12px', fontFamily: 'sans-serif' }}>
+      <div
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        style={{
+          padding: '16px',
+          textAlign: 'center',
+          border: `2px dashed ${dragging ? '#007bff' : '#ccc'}`,
+          borderRadius: '8px',
+          background: dragging ? '#eef5ff' : '#f9f9f9',
+          transition: 'border-color 0.2s, background-color 0.2s',
+        }}
+      >
+        <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>Upload Documents</div>
+        <p style={{ color: '#666', fontSize: '13px', margin: '0 0 12px' }}>
+          Drop PDFs, photos or Word documents here
         </p>
 
         <input
           type="file"
-          accept=".pdf,application/pdf"
+          accept={ACCEPTED_FILES}
+          multiple
           onChange={handleFileSelect}
           disabled={uploading}
           style={{ display: 'none' }}
@@ -95,42 +109,153 @@ function DocumentUpload({ onDocumentUploaded }) {
           htmlFor="file-input"
           style={{
             display: 'inline-block',
-            padding: '12px 24px',
+            padding: '8px 16px',
             backgroundColor: uploading ? '#ccc' : '#007bff',
             color: 'white',
             borderRadius: '4px',
             cursor: uploading ? 'not-allowed' : 'pointer',
             fontWeight: 'bold',
+            fontSize: '14px',
             transition: 'background-color 0.2s',
           }}
         >
-          {uploading ? 'Uploading...' : 'Choose PDF File'}
+          {uploading ? 'Uploading...' : 'Choose Files'}
         </label>
 
-        {error && (
-          <div style={{
-            marginTop: '20px',
-            padding: '10px',
-            backgroundColor: '#fee',
-            color: '#c33',
-            borderRadius: '4px',
-            fontSize: '14px',
-          }}>
-            {error}
-          </div>
-        )}
-
-        <div style={{
-          marginTop: '20px',
-          fontSize: '14px',
-          color: '#666',
-        }}>
-          <p>Max file size: 50MB</p>
-          <p>Supported format: PDF</p>
+        <div style={{ marginTop: '12px', fontSize: '12px', color: '#666' }}>
+          PDF, JPEG, PNG, TIFF, DOCX up to {MAX_FILE_MB}MB each.
+          Images and DOCX files are converted to PDF
         </div>
       </div>
+
+      {uploads.length > 0 && (
+        <ul style={{ listStyle: 'none', margin: '10px 0 0', padding: 0, fontSize: '13px' }}>
+          {uploads.map((upload) => (
+            <li key={upload.id} style={{ marginBottom: '8px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={upload.name}>
+                  {upload.name}
+                </span>
+                <span style={{ flexShrink: 0, color: STATUS_COLORS[upload.status] }}>
+                  {describeUpload(upload)}
+                </span>
+              </div>
+              {upload.status === 'error' ? (
+                <div style={{ color: '#c33', fontSize: '12px', marginTop: '2px' }}>{upload.error}</div>
+              ) : (
+                <div style={{ height: '4px', background: '#e9ecef', borderRadius: '2px', marginTop: '4px' }}>
+                  <div style={{
+                    width: `${Math.round(upload.progress * 100)}%`,
+                    height: '100%',
+                    background: upload.status === 'done' ? '#28a745' : '#007bff',
+                    borderRadius: '2px',
+                    transition: 'width 0.2s',
+                  }} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
 
+// Largest file the backend accepts by default (UPLOAD_MAX_MB)
+const MAX_FILE_MB = 50;
+
+// MIME types and extensions the backend accepts (see server/uploads.js)
+const SUPPORTED_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/tiff': ['.tif', '.tiff'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+};
+
+const ACCEPTED_FILES = Object.entries(SUPPORTED_TYPES).flat(2).join(',');
+
+const STATUS_COLORS = {
+  queued: '#666',
+  uploading: '#007bff',
+  done: '#28a745',
+  error: '#c33',
+};
+
+// Keys for the upload list; files in different batches can share a name
+let nextUploadId = 1;
+
+/**
+ * Why a file can't be uploaded, or null
+ */
+function checkFile(file) {
+  if (!isSupportedFile(file)) {
+    return 'Not a PDF, JPEG, PNG, TIFF or DOCX file';
+  }
+  if (file.size > MAX_FILE_MB * 1024 * 1024) {
+    return `File size must be less than ${MAX_FILE_MB}MB`;
+  }
+  return null;
+}
+
+/**
+ * Whether a file looks like a supported type, by MIME type or, as browsers
+ * don't always know the type (TIFF, DOCX), by extension
+ */
+function isSupportedFile(file) {
+  const name = file.name.toLowerCase();
+  return file.type in SUPPORTED_TYPES ||
+    Object.values(SUPPORTED_TYPES).flat().some((extension) => name.endsWith(extension));
+}
+
+/**
+ * Status shown next to a file. Once the file is sent the backend still
+ * converts and checks it, which has no progress of its own
+ */
+function describeUpload({ status, progress }) {
+  switch (status) {
+    case 'queued':
+      return 'Waiting';
+    case 'uploading':
+      return progress < 1 ? `${Math.round(progress * 100)}%` : 'Processing...';
+    case 'done':
+      return 'Uploaded ✓';
+    default:
+      return 'Failed';
+  }
+}
+
+/**
+ * Upload a file to the backend. fetch can't report upload progress, so this
+ * uses XMLHttpRequest
+ * @param {File} file
+ * @param {function} onProgress - Called with the fraction sent, 0-1
+ * @returns {Promise<object>} The upload response: { documentId, jwt, documentEngineUrl,
+ *   filename, sourceType, size, pageCount }
+ */
+function uploadFile(file, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${API_URL}/api/documents/upload`);
+    xhr.responseType = 'json';
+    Object.entries(authHeaders()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) onProgress(event.loaded / event.total);
+    };
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(xhr.response);
+      } else {
+        reject(new Error(xhr.response?.error || `Upload failed (${xhr.status})`));
+      }
+    };
+    xhr.onerror = () => reject(new Error('Upload failed: the server could not be reached'));
+
+    const formData = new FormData();
+    formData.append('file', file);
+    xhr.send(formData);
+  });
+}
+
 export default DocumentUpload;
@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { API_URL } from '../config';
+
+/**
+ * Sign In Component
+ * Exchanges the user's API key (one of the backend's API_KEYS) for a session
+ * token and calls onSignIn({ token, user, admin, expiresAt }). The key itself
+ * is not stored; message explains why the user has to sign in, e.g. after
+ * their session expired
+ */
+function SignIn({ onSignIn, message = null }) {
+  const [apiKey, setApiKey] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!apiKey.trim() || signingIn) return;
+
+    setSigningIn(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_URL}/api/session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ apiKey: apiKey.trim() }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Sign-in failed');
+      }
+
+      onSignIn?.(data);
+    } catch (err) {
+      console.error('Sign-in error:', err);
+      setError(err.message);
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <div style={{
+      height: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontFamily: 'sans-serif',
+      background: '#f5f5f5',
+    }}>
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          width: '320px',
+          padding: '24px',
+          background: '#fff',
+          border: '1px solid #ddd',
+          borderRadius: '8px',
+        }}
+      >
+        <div style={{ fontWeight: 'bold', fontSize: '18px', marginBottom: '6px' }}>Sign in</div>
+        <p style={{ color: '#666', fontSize: '13px', margin: '0 0 16px' }}>
+          Enter the API key your administrator gave you.
+        </p>
+
+        {(error || message) && (
+          <div role="alert" style={{ padding: '8px', marginBottom: '12px', backgroundColor: '#fee', color: '#c33', borderRadius: '4px', fontSize: '13px' }}>
+            {error || message}
+          </div>
+        )}
+
+        <label htmlFor="api-key" style={{ display: 'block', fontSize: '13px', marginBottom: '4px' }}>
+          API key
+        </label>
+        <input
+          id="api-key"
+          type="password"
+          value={apiKey}
+          onChange={(event) => setApiKey(event.target.value)}
+          autoComplete="current-password"
+          autoFocus
+          disabled={signingIn}
+          style={{
+            width: '100%',
+            boxSizing: 'border-box',
+            padding: '8px',
+            marginBottom: '16px',
+            border: '1px solid #ccc',
+            borderRadius: '4px',
+            fontSize: '14px',
+          }}
+        />
+
+        <button
+          type="submit"
+          disabled={signingIn || !apiKey.trim()}
+          style={{
+            width: '100%',
+            padding: '8px 16px',
+            backgroundColor: signingIn || !apiKey.trim() ? '#ccc' : '#007bff',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: signingIn ? 'not-allowed' : 'pointer',
+            fontWeight: 'bold',
+            fontSize: '14px',
+          }}
+        >
+          {signingIn ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default SignIn;
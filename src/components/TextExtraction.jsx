@@ -1,40 +1,176 @@
-import React, { useState, useEffect } from 'react';
-import { API_URL } from '../config';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { API_URL, authHeaders } from '../config';
 
 /**
  * Text Extraction Component
- * Displays extracted text from PDF documents as plain text with paragraphs
+ * Displays extracted text from PDF documents as plain text with paragraphs.
+ * Pages are streamed from the server and shown as soon as each one is ready.
+ * Paragraphs are linked to the PDF viewer: hovering or clicking one reports
+ * its page and bounding box (onParagraphHighlight / onParagraphSelect), the
+ * viewer's page (viewerPageIndex) selects the page shown, and a text selection
+ * in the viewer (viewerSelection: { pageIndex, rects }) scrolls to the
+ * paragraph it falls in. Paragraphs and the cleaned text can be corrected;
+ * corrections are saved on the server as versions of the page, with their
+ * history and revert.
  */
-function TextExtraction({ documentId, onExtractionComplete }) {
+function TextExtraction({
+  documentId,
+  onExtractionComplete,
+  viewerPageIndex = null,
+  viewerSelection = null,
+  onParagraphHighlight,
+  onParagraphSelect,
+}) {
   const [extractedText, setExtractedText] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [selectedPage, setSelectedPage] = useState(0);
+  const [downloadMenuOpen, setDownloadMenuOpen] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+  const [cacheInfo, setCacheInfo] = useState(null);
+  const [textView, setTextView] = useState('paragraphs');
+  // Paragraph clicked in the panel or selected in the viewer: { pageIndex, index }
+  const [activeParagraph, setActiveParagraph] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchOptions, setSearchOptions] = useState({ caseSensitive: false, wholeWord: false, regex: false });
+  // Index of the search hit last jumped to
+  const [activeHit, setActiveHit] = useState(null);
+  // Reviewer decisions on each page's cleaned text: { [pageIndex]: 'accepted' | 'rejected' }
+  const [reviews, setReviews] = useState({});
+  // Page range typed by the user, e.g. "1-5, 9", and why it can't be extracted
+  const [pageRange, setPageRange] = useState('');
+  const [pageRangeError, setPageRangeError] = useState(null);
+  // Pages requested by the last extraction ("1-5,9", null for all) and the
+  // page indexes the running extraction is processing
+  const [extractScope, setExtractScope] = useState(null);
+  const [extractingPages, setExtractingPages] = useState([]);
+  // Cleanup language: 'auto' detects each page's language, a code overrides it
+  const [language, setLanguage] = useState('auto');
+  // Language the last extraction ran with, so downloads match its cached pages
+  const [extractedLanguage, setExtractedLanguage] = useState(null);
+  // Text being corrected: { pageIndex, target: paragraph index | 'plainText', text }
+  const [editing, setEditing] = useState(null);
+  const [savingCorrection, setSavingCorrection] = useState(false);
+  const [correctionError, setCorrectionError] = useState(null);
+  // Correction history shown for a page: { pageIndex, versions (null while loading), error }
+  const [history, setHistory] = useState(null);
 
-  // Reset state when documentId changes
+  // AbortController of the extraction stream being read
+  const activeStreamRef = useRef(null);
+  // Rendered paragraph elements of the current page, by paragraph index
+  const paragraphRefs = useRef([]);
+  // Rendered table blocks of the current page, by table index
+  const tableRefs = useRef([]);
+
+  // Reset state when documentId changes, closing any running extraction
   useEffect(() => {
     setExtractedText(null);
     setError(null);
     setSelectedPage(0);
     setLoading(false);
+    setDownloadMenuOpen(false);
+    setCacheInfo(null);
+    setReviews({});
+    setActiveParagraph(null);
+    setExtractScope(null);
+    setExtractingPages([]);
+    setPageRangeError(null);
+    setEditing(null);
+    setCorrectionError(null);
+    setHistory(null);
+
+    return () => cancelActiveStream();
   }, [documentId]);
 
-  const handleExtract = async () => {
+  // Show the page the viewer is on
+  useEffect(() => {
+    if (viewerPageIndex !== null) {
+      setSelectedPage(viewerPageIndex);
+    }
+  }, [viewerPageIndex]);
+
+  // Jump to the paragraph containing the text selected in the viewer
+  useEffect(() => {
+    const page = viewerSelection && extractedText?.pages[viewerSelection.pageIndex];
+    if (!page) return;
+
+    const index = findParagraphAt(page.paragraphs, viewerSelection.rects);
+    setSelectedPage(viewerSelection.pageIndex);
+    if (index !== -1) {
+      setTextView('paragraphs');
+      setActiveParagraph({ pageIndex: viewerSelection.pageIndex, index });
+    }
+  }, [viewerSelection]);
+
+  // Keep the active paragraph in view
+  useEffect(() => {
+    if (activeParagraph?.pageIndex === selectedPage) {
+      paragraphRefs.current[activeParagraph.index]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [activeParagraph, selectedPage, textView]);
+
+  // Search all pages that have arrived; an invalid regex is reported, not thrown
+  const { pattern: searchPattern, error: searchError } = useMemo(() => {
+    try {
+      return { pattern: buildSearchPattern(searchQuery, searchOptions), error: null };
+    } catch (err) {
+      return { pattern: null, error: err.message };
+    }
+  }, [searchQuery, searchOptions]);
+
+  const searchHits = useMemo(
+    () => (searchPattern && extractedText ? searchPages(extractedText.pages, searchPattern) : []),
+    [extractedText, searchPattern]
+  );
+
+  // Scroll to a table hit; paragraph hits go through activeParagraph
+  useEffect(() => {
+    const hit = searchHits[activeHit];
+    if (hit?.kind === 'table' && hit.pageIndex === selectedPage) {
+      tableRefs.current[hit.index]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [activeHit, selectedPage]);
+
+  // Closing the stream makes the server stop outstanding AI requests
+  const cancelActiveStream = () => {
+    activeStreamRef.current?.abort();
+    activeStreamRef.current = null;
+  };
+
+  // Keep pages that already finished; the rest stay marked as not extracted
+  const handleCancel = () => {
+    cancelActiveStream();
+    setLoading(false);
+  };
+
+  // Results are served from the server's extraction cache unless force is set.
+  // pages ("1-5,9") extracts only those pages and keeps the others already extracted
+  const handleExtract = async ({ force = false, pages: requestedPages = null } = {}) => {
     if (!documentId) {
       setError('No document ID provided');
       return;
     }
 
+    cancelActiveStream();
+    const controller = new AbortController();
+    activeStreamRef.current = controller;
+    const previousPages = requestedPages ? extractedText?.pages : null;
+
     setLoading(true);
     setError(null);
+    setCacheInfo(null);
+    setExtractScope(requestedPages);
+    setExtractingPages([]);
+    if (!requestedPages) setReviews({});
 
     try {
       const response = await fetch(
-        `${API_URL}/api/documents/${documentId}/extract`,
+        `${API_URL}/api/documents/${documentId}/extract/stream`,
         {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ language: 'english' }),
+          headers: { 'Content-Type': 'application/json', ...authHeaders() },
+          body: JSON.stringify({ language, force, ...(requestedPages && { pages: requestedPages }) }),
+          signal: controller.signal,
         }
       );
 
@@ -43,23 +179,261 @@ function TextExtraction({ documentId, onExtractionComplete }) {
         throw new Error(errorData.error || 'Extraction failed');
       }
 
-      const data = await response.json();
-      setExtractedText(data.extractedText);
-      setSelectedPage(0);
+      // Pages arrive in completion order; unfinished and unrequested pages are null
+      let pages = [];
+      let result = null;
+
+      await readEvents(response, (event) => {
+        switch (event.type) {
+          case 'start': {
+            const extracting = new Set(event.pageIndexes || Array(event.documentPageCount).keys());
+            pages = Array.from({ length: event.documentPageCount }, (_, pageIndex) => (
+              extracting.has(pageIndex) ? null : previousPages?.[pageIndex] || null
+            ));
+            setExtractedText({ pages });
+            setExtractingPages([...extracting]);
+            // Decisions on pages being extracted again no longer apply
+            setReviews((current) => Object.fromEntries(
+              Object.entries(current).filter(([pageIndex]) => !extracting.has(Number(pageIndex)))
+            ));
+            // Stay on the page the viewer shows, if the document has it
+            setSelectedPage((page) => Math.max(0, Math.min(page, event.documentPageCount - 1)));
+            break;
+          }
+          case 'page':
+            pages = [...pages];
+            pages[event.page.pageIndex] = event.page;
+            setExtractedText({ pages });
+            break;
+          case 'pageError':
+            console.warn(`Page ${event.pageIndex + 1} fell back to raw text:`, event.message);
+            break;
+          case 'done':
+            result = event;
+            break;
+          case 'error':
+            throw new Error(event.details || event.error);
+        }
+      });
+
+      if (activeStreamRef.current !== controller) return;
+      activeStreamRef.current = null;
+
+      if (!result) {
+        throw new Error('Extraction ended before all pages were processed');
+      }
+
+      setCacheInfo(result.cache);
+      setExtractedLanguage(result.language);
+
+      const data = { ...result, extractedText: { pages } };
       console.log('✓ Text extracted successfully:', data);
 
       // Call callback with extracted data
       if (onExtractionComplete) {
         onExtractionComplete(data);
       }
+      setLoading(false);
     } catch (err) {
+      if (controller.signal.aborted) return;
+
       console.error('Extraction error:', err);
+      activeStreamRef.current = null;
       setError(err.message);
-    } finally {
       setLoading(false);
     }
   };
 
+  // Extract the typed page range; pages past the end of a known document are rejected here
+  const handleExtractRange = (event) => {
+    event.preventDefault();
+    const pages = normalizePageRange(pageRange);
+    const lastPage = pages && Math.max(...pages.split(/[,-]/).filter(Boolean).map(Number));
+
+    if (!pages) {
+      setPageRangeError('Enter pages and ranges like 1-5, 9');
+    } else if (extractedText && lastPage > extractedText.pages.length) {
+      setPageRangeError(`The document has ${extractedText.pages.length} pages`);
+    } else {
+      setPageRangeError(null);
+      handleExtract({ pages });
+    }
+  };
+
+  // Hovering a paragraph previews its highlight; leaving restores the active one
+  const highlightParagraph = (page, index) => {
+    const target = index ?? (activeParagraph?.pageIndex === page.pageIndex ? activeParagraph.index : null);
+    onParagraphHighlight?.(target === null ? null : { pageIndex: page.pageIndex, bbox: page.paragraphs[target].bbox });
+  };
+
+  const selectParagraph = (page, index) => {
+    setActiveParagraph({ pageIndex: page.pageIndex, index });
+    onParagraphSelect?.({ pageIndex: page.pageIndex, bbox: page.paragraphs[index].bbox });
+  };
+
+  // Show a search hit in the panel and the viewer
+  const goToHit = (hitIndex) => {
+    const hit = searchHits[hitIndex];
+    if (!hit) return;
+
+    setActiveHit(hitIndex);
+    setSelectedPage(hit.pageIndex);
+    if (hit.kind === 'paragraph') {
+      setTextView('paragraphs');
+      setActiveParagraph({ pageIndex: hit.pageIndex, index: hit.index });
+    }
+    onParagraphSelect?.({ pageIndex: hit.pageIndex, bbox: hit.bbox });
+  };
+
+  const handleSearchChange = (changes) => {
+    if ('query' in changes) setSearchQuery(changes.query);
+    if ('options' in changes) setSearchOptions({ ...searchOptions, ...changes.options });
+    setActiveHit(null);
+  };
+
+  // Enter jumps to the next hit, Shift+Enter to the previous one
+  const handleSearchKeyDown = (event) => {
+    if (event.key !== 'Enter' || searchHits.length === 0) return;
+    event.preventDefault();
+    const step = event.shiftKey ? -1 : 1;
+    const next = activeHit === null ? (step === 1 ? 0 : searchHits.length - 1) : activeHit + step;
+    goToHit((next + searchHits.length) % searchHits.length);
+  };
+
+  // Accept or reject a page's cleaned text; choosing the current decision again clears it
+  const handleReview = (pageIndex, decision) => {
+    setReviews((current) => {
+      const { [pageIndex]: previous, ...others } = current;
+      return previous === decision ? others : { ...others, [pageIndex]: decision };
+    });
+  };
+
+  // Replace an extracted page, e.g. after its corrections changed
+  const updatePage = (page) => {
+    setExtractedText((current) => {
+      const pages = [...current.pages];
+      pages[page.pageIndex] = page;
+      return { ...current, pages };
+    });
+  };
+
+  // Correct a paragraph (by index) or the cleaned text ('plainText') of a page
+  const startEditing = (page, target) => {
+    const text = target === 'plainText' ? page.plainText : page.paragraphs[target].text;
+    setEditing({ pageIndex: page.pageIndex, target, text });
+    setCorrectionError(null);
+  };
+
+  const loadHistory = async (pageIndex) => {
+    setHistory({ pageIndex, versions: null, error: null });
+    try {
+      setHistory({ pageIndex, versions: await fetchCorrectionHistory(documentId, pageIndex), error: null });
+    } catch (err) {
+      setHistory({ pageIndex, versions: [], error: err.message });
+    }
+  };
+
+  const toggleHistory = (pageIndex) => {
+    if (history?.pageIndex === pageIndex) {
+      setHistory(null);
+    } else {
+      loadHistory(pageIndex);
+    }
+  };
+
+  // Save a correction or revert (action '/revert') of a page and show the
+  // version it created. When someone else saved a version in the meantime
+  // the page shows theirs and the draft stays open
+  const sendCorrection = async (page, action, body) => {
+    setSavingCorrection(true);
+    setCorrectionError(null);
+    try {
+      const response = await fetch(
+        `${API_URL}/api/documents/${documentId}/pages/${page.pageIndex}/corrections${action}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...authHeaders() },
+          body: JSON.stringify(body),
+        }
+      );
+      const data = await response.json();
+
+      if (response.status === 409) {
+        const versions = await fetchCorrectionHistory(documentId, page.pageIndex);
+        updatePage(correctPage(page, versions[versions.length - 1]));
+        throw new Error(
+          `Version ${data.latestVersion} of this page's corrections was saved in the meantime and is shown now; save again to apply your change on top of it`
+        );
+      }
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save the correction');
+      }
+
+      updatePage(correctPage(page, data.version));
+      if (history?.pageIndex === page.pageIndex) loadHistory(page.pageIndex);
+      return data.version;
+    } catch (err) {
+      console.error('Correction error:', err);
+      setCorrectionError(err.message);
+      return null;
+    } finally {
+      setSavingCorrection(false);
+    }
+  };
+
+  // Saving the extracted text unchanged removes the correction
+  const handleSaveCorrection = async () => {
+    const page = extractedText.pages[editing.pageIndex];
+    const { target, text } = editing;
+    const change = target === 'plainText'
+      ? { plainText: { text, machineText: machineTextOf(page, 'plainText') } }
+      : { paragraphs: [{ index: target, text, machineText: machineTextOf(page, target) }] };
+
+    const version = await sendCorrection(page, '', { baseVersion: page.correction?.version ?? 0, ...change });
+    if (version) setEditing(null);
+  };
+
+  // Restore an earlier version (0: the extracted text) as a new version
+  const handleRevert = (page, version) => {
+    setEditing(null);
+    sendCorrection(page, '/revert', { version, baseVersion: page.correction?.version ?? 0 });
+  };
+
+  // Download the extracted pages in one of the server's export formats,
+  // with the options they were extracted with so the server exports its
+  // cached pages instead of extracting them again. Rejected pages are
+  // exported with their raw text
+  const handleDownload = async (format, extension) => {
+    setDownloadMenuOpen(false);
+    setDownloading(format);
+
+    const rejectedPages = Object.keys(reviews).filter((pageIndex) => reviews[pageIndex] === 'rejected');
+    const extractedPages = extractedText.pages.filter(Boolean).map((page) => page.pageIndex);
+    const partial = extractedPages.length < extractedText.pages.length;
+
+    try {
+      const response = await fetch(
+        `${API_URL}/api/documents/${documentId}/export?format=${format}&language=${extractedLanguage || language}` +
+          (partial ? `&pages=${formatPageRange(extractedPages)}` : '') +
+          (rejectedPages.length ? `&rejectedPages=${rejectedPages.join(',')}` : ''),
+        { headers: authHeaders() }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Export failed');
+      }
+
+      const blob = await response.blob();
+      downloadFile(`${documentId}.${extension}`, blob, blob.type);
+    } catch (err) {
+      console.error('Export error:', err);
+      setError(err.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
   if (!documentId) {
     return (
       <div style={styles.container}>
@@ -74,95 +448,1349 @@ function TextExtraction({ documentId, onExtractionComplete }) {
         <div style={styles.error}>
           <strong>Error:</strong> {error}
         </div>
-        <button onClick={handleExtract} style={styles.button}>
+        <button onClick={() => handleExtract({ pages: extractScope })} style={styles.button}>
           Try Again
         </button>
       </div>
     );
   }
 
-  if (loading) {
+  // Until the server reports the page count there is nothing to show yet
+  if (loading && !extractedText) {
     return (
       <div style={styles.container}>
         <div style={styles.loading}>
           <div style={styles.spinner}></div>
           <p>Extracting text from document...</p>
+          <button onClick={handleCancel} style={styles.refreshButton}>
+            Cancel
+          </button>
         </div>
       </div>
     );
   }
 
-  if (!extractedText) {
-    return (
-      <div style={styles.container}>
-        <div style={styles.intro}>
-          <h2>Extract Text</h2>
-          <p>Extract plain text from this PDF document.</p>
-          <button onClick={handleExtract} style={styles.button}>
-            Extract Text
-          </button>
-        </div>
-      </div>
-    );
-  }
+  if (!extractedText) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.intro}>
+          <h2>Extract Text</h2>
+          <p>Extract plain text from this PDF document, or only the pages you need.</p>
+          <div style={styles.introActions}>
+            <button onClick={() => handleExtract()} style={styles.button}>
+              Extract Text
+            </button>
+            <button onClick={() => handleExtract({ pages: String(selectedPage + 1) })} style={styles.secondaryButton}>
+              Extract Page {selectedPage + 1}
+            </button>
+          </div>
+          <PageRangeForm
+            value={pageRange}
+            error={pageRangeError}
+            onChange={setPageRange}
+            onSubmit={handleExtractRange}
+          />
+          <div style={styles.rangeForm}>
+            <LanguageSelect value={language} onChange={setLanguage} />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const currentPage = extractedText.pages[selectedPage];
+  const pageCount = extractedText.pages.length;
+  const extractedCount = extractedText.pages.filter(Boolean).length;
+  // Progress of the running extraction, which may cover only some pages
+  const pagesCompleted = extractingPages.filter((pageIndex) => extractedText.pages[pageIndex]).length;
+  const percent = extractingPages.length ? Math.round((pagesCompleted / extractingPages.length) * 100) : 100;
+
+  // Only pages whose cleanup changed the text need a review
+  const reviewablePages = extractedText.pages.filter(isReviewable);
+  const reviewedCount = reviewablePages.filter((page) => reviews[page.pageIndex]).length;
+  const currentReview = currentPage ? reviews[currentPage.pageIndex] : undefined;
+  const correctedCount = extractedText.pages.filter(isCorrected).length;
+
+  // Props of the correction editor for the current page's edited text, if any
+  const editor = currentPage && editing?.pageIndex === currentPage.pageIndex ? {
+    target: editing.target,
+    value: editing.text,
+    machineText: machineTextOf(currentPage, editing.target),
+    saving: savingCorrection,
+    onChange: (text) => setEditing({ ...editing, text }),
+    onSave: handleSaveCorrection,
+    onCancel: () => {
+      setEditing(null);
+      setCorrectionError(null);
+    },
+  } : null;
+
+  // Start offset of the active search hit within a block of the current page, for marking it
+  const activeHitStart = (kind, index) => {
+    const hit = searchHits[activeHit];
+    return hit && hit.pageIndex === selectedPage && hit.kind === kind && hit.index === index ? hit.start : null;
+  };
+  const searchPageCount = new Set(searchHits.map((hit) => hit.pageIndex)).size;
+
+  return (
+    <div style={styles.container}>
+      {/* Header with page navigation */}
+      <div style={styles.header}>
+        <h2 style={styles.title}>Extracted Text</h2>
+        <div style={styles.pageNav}>
+          <button
+            onClick={() => setSelectedPage(Math.max(0, selectedPage - 1))}
+            disabled={selectedPage === 0}
+            style={{
+              ...styles.navButton,
+              ...(selectedPage === 0 ? styles.navButtonDisabled : {}),
+            }}
+          >
+            ← Previous
+          </button>
+          <span style={styles.pageInfo}>
+            Page {selectedPage + 1} of {pageCount}
+          </span>
+          <button
+            onClick={() =>
+              setSelectedPage(Math.min(pageCount - 1, selectedPage + 1))
+            }
+            disabled={selectedPage === pageCount - 1}
+            style={{
+              ...styles.navButton,
+              ...(selectedPage === pageCount - 1 ? styles.navButtonDisabled : {}),
+            }}
+          >
+            Next →
+          </button>
+        </div>
+        <div style={styles.headerActions}>
+          <LanguageSelect value={language} onChange={setLanguage} disabled={loading} />
+          <div style={styles.downloadMenu}>
+            <button
+              onClick={() => setDownloadMenuOpen(!downloadMenuOpen)}
+              disabled={!!downloading || loading}
+              aria-haspopup="menu"
+              aria-expanded={downloadMenuOpen}
+              style={styles.refreshButton}
+            >
+              {downloading ? 'Downloading...' : 'Download ▾'}
+            </button>
+            {downloadMenuOpen && (
+              <div role="menu" style={styles.downloadOptions}>
+                {EXPORT_FORMATS.map(({ format, extension, label }) => (
+                  <button
+                    key={format}
+                    role="menuitem"
+                    onClick={() => handleDownload(format, extension)}
+                    style={styles.downloadOption}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          {loading ? (
+            <button onClick={handleCancel} style={styles.refreshButton}>
+              Cancel
+            </button>
+          ) : cacheInfo?.hit ? (
+            <button
+              onClick={() => handleExtract({ force: true, pages: extractScope })}
+              title={`Cached result from ${new Date(cacheInfo.cachedAt).toLocaleString()}`}
+              style={styles.refreshButton}
+            >
+              Cached · Refresh
+            </button>
+          ) : (
+            <button onClick={() => handleExtract({ pages: extractScope })} style={styles.refreshButton}>
+              Re-extract
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Search across all extracted pages */}
+      <div style={styles.search}>
+        <div style={styles.searchRow}>
+          <input
+            type="search"
+            value={searchQuery}
+            onChange={(event) => handleSearchChange({ query: event.target.value })}
+            onKeyDown={handleSearchKeyDown}
+            placeholder="Search all pages"
+            aria-label="Search extracted text"
+            aria-invalid={!!searchError}
+            style={styles.searchInput}
+          />
+          {SEARCH_OPTIONS.map(({ option, label, title }) => (
+            <label key={option} title={title} style={styles.searchOption}>
+              <input
+                type="checkbox"
+                checked={searchOptions[option]}
+                onChange={(event) => handleSearchChange({ options: { [option]: event.target.checked } })}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        {searchError ? (
+          <div role="alert" style={styles.searchError}>Invalid regular expression: {searchError}</div>
+        ) : searchQuery && (
+          <>
+            <div role="status" aria-live="polite" style={styles.pageInfo}>
+              {searchHits.length === 0
+                ? 'No matches'
+                : `${searchHits.length >= MAX_SEARCH_HITS ? `First ${MAX_SEARCH_HITS}` : searchHits.length} match${searchHits.length === 1 ? '' : 'es'} on ${searchPageCount} page${searchPageCount === 1 ? '' : 's'}`}
+              {loading && ' (searching pages extracted so far)'}
+            </div>
+            {searchHits.length > 0 && (
+              <ul aria-label="Search results" style={styles.searchResults}>
+                {searchHits.map((hit, hitIndex) => (
+                  <li key={hitIndex}>
+                    <button
+                      onClick={() => goToHit(hitIndex)}
+                      aria-current={hitIndex === activeHit ? 'true' : undefined}
+                      style={{
+                        ...styles.searchResult,
+                        ...(hitIndex === activeHit ? styles.searchResultActive : {}),
+                      }}
+                    >
+                      <span style={styles.searchResultPage}>
+                        p. {hit.pageIndex + 1}{hit.kind === 'table' ? ' · table' : ''}
+                      </span>
+                      <span>
+                        {hit.snippet.before}
+                        <mark style={styles.searchMatch}>{hit.snippet.match}</mark>
+                        {hit.snippet.after}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Progress while the remaining pages are still streaming in */}
+      {loading && (
+        <div style={styles.streamProgress}>
+          <div
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={extractingPages.length}
+            aria-valuenow={pagesCompleted}
+            aria-label="Extraction progress"
+            style={styles.progressTrack}
+          >
+            <div style={{ ...styles.progressBar, width: `${percent}%` }}></div>
+          </div>
+          <span role="status" aria-live="polite" style={styles.pageInfo}>
+            {pagesCompleted} of {extractingPages.length} pages extracted ({percent}%)
+          </span>
+        </div>
+      )}
+
+      {/* Extracted text content */}
+      <div style={styles.content}>
+        {!currentPage ? (
+          loading && extractingPages.includes(selectedPage) ? (
+            <div style={styles.loading}>
+              <div style={styles.spinner}></div>
+              <p>Page {selectedPage + 1} is still being processed...</p>
+            </div>
+          ) : (
+            <div style={styles.intro}>
+              <p style={styles.message}>Page {selectedPage + 1} has not been extracted.</p>
+              <button
+                onClick={() => handleExtract({ pages: String(selectedPage + 1) })}
+                disabled={loading}
+                style={{ ...styles.button, ...(loading ? styles.navButtonDisabled : {}) }}
+              >
+                Extract Page {selectedPage + 1}
+              </button>
+              <PageRangeForm
+                value={pageRange}
+                error={pageRangeError}
+                disabled={loading}
+                onChange={setPageRange}
+                onSubmit={handleExtractRange}
+              />
+            </div>
+          )
+        ) : (
+          <>
+            <div style={styles.reviewBar}>
+              <div role="group" aria-label="Text version" style={styles.viewToggle}>
+                {TEXT_VIEWS.map(({ view, label }) => (
+                  <button
+                    key={view}
+                    onClick={() => setTextView(view)}
+                    aria-pressed={textView === view}
+                    style={{
+                      ...styles.viewButton,
+                      ...(textView === view ? styles.viewButtonActive : {}),
+                    }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {isReviewable(currentPage) && (
+                <div role="group" aria-label="Review cleaned text" style={styles.reviewActions}>
+                  {currentReview && (
+                    <span
+                      role="status"
+                      style={currentReview === 'accepted' ? styles.reviewAccepted : styles.reviewRejected}
+                    >
+                      {currentReview === 'accepted' ? '✓ Cleaned text accepted' : '✗ Rejected, raw text is used'}
+                    </span>
+                  )}
+                  <button
+                    onClick={() => handleReview(currentPage.pageIndex, 'accepted')}
+                    aria-pressed={currentReview === 'accepted'}
+                    style={{
+                      ...styles.viewButton,
+                      ...(currentReview === 'accepted' ? styles.viewButtonActive : {}),
+                    }}
+                  >
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => handleReview(currentPage.pageIndex, 'rejected')}
+                    aria-pressed={currentReview === 'rejected'}
+                    style={{
+                      ...styles.viewButton,
+                      ...(currentReview === 'rejected' ? styles.viewButtonActive : {}),
+                    }}
+                  >
+                    Reject
+                  </button>
+                </div>
+              )}
+            </div>
+            <div style={styles.correctionBar}>
+              <span style={currentPage.correction?.stale ? styles.correctionStale : styles.correctionInfo}>
+                {describeCorrection(currentPage, textView)}
+              </span>
+              <div style={styles.reviewActions}>
+                {textView === 'cleaned' && editor?.target !== 'plainText' && (
+                  <button
+                    onClick={() => startEditing(currentPage, 'plainText')}
+                    disabled={loading}
+                    title={loading ? 'Corrections can be made once the extraction has finished' : undefined}
+                    style={styles.viewButton}
+                  >
+                    ✎ Edit
+                  </button>
+                )}
+                {currentPage.correction && (
+                  <button
+                    onClick={() => toggleHistory(currentPage.pageIndex)}
+                    aria-pressed={history?.pageIndex === currentPage.pageIndex}
+                    style={{
+                      ...styles.viewButton,
+                      ...(history?.pageIndex === currentPage.pageIndex ? styles.viewButtonActive : {}),
+                    }}
+                  >
+                    History (v{currentPage.correction.version})
+                  </button>
+                )}
+              </div>
+            </div>
+            {correctionError && <div role="alert" style={styles.correctionError}>{correctionError}</div>}
+            {history?.pageIndex === currentPage.pageIndex && (
+              <CorrectionHistory
+                history={history}
+                currentVersion={currentPage.correction?.version ?? 0}
+                disabled={savingCorrection || loading}
+                onRevert={(version) => handleRevert(currentPage, version)}
+              />
+            )}
+            {textView === 'paragraphs' ? (
+              <ParagraphList
+                paragraphs={currentPage.paragraphs || []}
+                activeIndex={activeParagraph?.pageIndex === currentPage.pageIndex ? activeParagraph.index : null}
+                paragraphRefs={paragraphRefs}
+                searchPattern={searchPattern}
+                activeHitStart={(index) => activeHitStart('paragraph', index)}
+                editor={editor?.target !== 'plainText' ? editor : null}
+                onHighlight={(index) => highlightParagraph(currentPage, index)}
+                onSelect={(index) => selectParagraph(currentPage, index)}
+                onEdit={loading ? null : (index) => startEditing(currentPage, index)}
+              />
+            ) : textView === 'cleaned' && editor?.target === 'plainText' ? (
+              <CorrectionEditor {...editor} />
+            ) : (
+              <PageText page={currentPage} view={textView} searchPattern={searchPattern} />
+            )}
+          </>
+        )}
+
+        {/* Tables detected on this page */}
+        {currentPage?.tables?.map((table, tableIndex) => (
+          <div
+            key={tableIndex}
+            ref={(element) => {
+              tableRefs.current[tableIndex] = element;
+            }}
+            style={{
+              ...styles.tableBlock,
+              ...(activeHitStart('table', tableIndex) !== null ? styles.tableBlockActive : {}),
+            }}
+          >
+            <div style={styles.tableHeader}>
+              <span style={styles.tableTitle}>Table {tableIndex + 1}</span>
+              <button
+                onClick={() =>
+                  downloadFile(
+                    `${documentId}-page${selectedPage + 1}-table${tableIndex + 1}.csv`,
+                    tableToCsv(table.rows),
+                    'text/csv'
+                  )
+                }
+                style={styles.navButton}
+              >
+                Download CSV
+              </button>
+            </div>
+            <div style={styles.tableScroll}>
+              <table style={styles.table}>
+                <tbody>
+                  {table.rows.map((row, rowIndex) => (
+                    <tr key={rowIndex}>
+                      {row.map((cell, cellIndex) => (
+                        <td key={cellIndex} style={styles.tableCell}>
+                          {highlightMatches(cell, searchPattern)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Statistics */}
+      <div style={styles.stats}>
+        <div style={styles.stat}>
+          <span style={styles.statLabel}>Total Pages:</span>
+          <span style={styles.statValue}>{pageCount}</span>
+        </div>
+        {extractedCount < pageCount && !loading && (
+          <div style={styles.stat}>
+            <span style={styles.statLabel}>Extracted:</span>
+            <span style={styles.statValue}>
+              {extractedCount} of {pageCount}
+            </span>
+          </div>
+        )}
+        <div style={styles.stat}>
+          <span style={styles.statLabel}>Paragraphs:</span>
+          <span style={styles.statValue}>{currentPage?.paragraphs?.length || 0}</span>
+        </div>
+        <div style={styles.stat}>
+          <span style={styles.statLabel}>Headings:</span>
+          <span style={styles.statValue}>{currentPage?.outline?.length || 0}</span>
+        </div>
+        <div style={styles.stat}>
+          <span style={styles.statLabel}>Tables:</span>
+          <span style={styles.statValue}>{currentPage?.tables?.length || 0}</span>
+        </div>
+        {currentPage?.cleanup && (
+          <div style={styles.stat} title={describeCleanup(currentPage.cleanup)}>
+            <span style={styles.statLabel}>Cleanup:</span>
+            <span
+              style={{
+                ...styles.statValue,
+                ...(['fallback', 'partial'].includes(currentPage.cleanup.status) ? styles.statWarning : {}),
+              }}
+            >
+              {CLEANUP_STATUS_LABELS[currentPage.cleanup.status]}
+              {currentPage.cleanup.applied?.length > 0 &&
+                ` (${currentPage.cleanup.applied.map((cleaner) => CLEANER_LABELS[cleaner]).join(' + ')})`}
+            </span>
+          </div>
+        )}
+        {currentPage?.language && (
+          <div style={styles.stat} title={LANGUAGE_SOURCE_LABELS[currentPage.languageSource]}>
+            <span style={styles.statLabel}>Language:</span>
+            <span style={styles.statValue}>
+              {languageName(currentPage.language)}
+              {currentPage.languageSource === 'detected' && ' (detected)'}
+            </span>
+          </div>
+        )}
+        {currentPage?.ocr && (
+          <div style={styles.stat} title={describeOcr(currentPage.ocr)}>
+            <span style={styles.statLabel}>Text:</span>
+            <span
+              style={{
+                ...styles.statValue,
+                ...(currentPage.ocr.status === 'failed' ? styles.statWarning : {}),
+              }}
+            >
+              {OCR_STATUS_LABELS[currentPage.ocr.status]}
+            </span>
+          </div>
+        )}
+        {correctedCount > 0 && (
+          <div style={styles.stat}>
+            <span style={styles.statLabel}>Corrected:</span>
+            <span style={styles.statValue}>
+              {correctedCount} {correctedCount === 1 ? 'page' : 'pages'}
+            </span>
+          </div>
+        )}
+        {reviewablePages.length > 0 && (
+          <div style={styles.stat}>
+            <span style={styles.statLabel}>Reviewed:</span>
+            <span style={styles.statValue}>
+              {reviewedCount} of {reviewablePages.length}
+            </span>
+          </div>
+        )}
+        {currentPage?.fidelity && (
+          <div style={styles.stat} title={describeFidelity(currentPage.fidelity)}>
+            <span style={styles.statLabel}>Fidelity:</span>
+            <span
+              style={{
+                ...styles.statValue,
+                ...(currentPage.fidelity.passed ? {} : styles.statWarning),
+              }}
+            >
+              {(currentPage.fidelity.score * 100).toFixed(1)}%{currentPage.fidelity.passed ? '' : ' ⚠'}
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Cleanup language picker; applies to the next extraction
+ */
+function LanguageSelect({ value, onChange, disabled = false }) {
+  return (
+    <label style={styles.languageSelect}>
+      Language
+      <select
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        disabled={disabled}
+        title="Language used to clean the text; applies to the next extraction"
+        style={styles.select}
+      >
+        {LANGUAGE_OPTIONS.map(({ value: optionValue, label }) => (
+          <option key={optionValue} value={optionValue}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Page range input for extracting some pages, e.g. "1-5, 9" or "10-" for
+ * page 10 to the end
+ */
+function PageRangeForm({ value, error, disabled = false, onChange, onSubmit }) {
+  return (
+    <form onSubmit={onSubmit} style={styles.rangeForm}>
+      <input
+        type="text"
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        placeholder="Pages, e.g. 1-5, 9"
+        aria-label="Pages to extract"
+        aria-invalid={!!error}
+        disabled={disabled}
+        style={styles.rangeInput}
+      />
+      <button type="submit" disabled={disabled} style={styles.refreshButton}>
+        Extract Pages
+      </button>
+      {error && <div role="alert" style={styles.searchError}>{error}</div>}
+    </form>
+  );
+}
+
+/**
+ * A page's paragraphs as semantic blocks. Hovering or focusing a paragraph
+ * calls onHighlight(index) (null when leaving); clicking it or pressing
+ * Enter calls onSelect(index). Search matches are marked, the active hit
+ * (at activeHitStart(index)) distinctly. Double-clicking a paragraph or the
+ * active paragraph's Edit button calls onEdit(index) (no editing without
+ * onEdit); the paragraph at editor.target is shown in a CorrectionEditor
+ */
+function ParagraphList({
+  paragraphs,
+  activeIndex,
+  paragraphRefs,
+  searchPattern,
+  activeHitStart,
+  editor = null,
+  onHighlight,
+  onSelect,
+  onEdit = null,
+}) {
+  if (paragraphs.length === 0) {
+    return <p style={styles.message}>No text found on this page.</p>;
+  }
+
+  return (
+    <div role="document" aria-label="Extracted document text">
+      {paragraphs.map((paragraph, index) => index === editor?.target ? (
+        <div
+          key={index}
+          ref={(element) => {
+            paragraphRefs.current[index] = element;
+          }}
+          style={{ ...styles.paragraph, ...styles.paragraphActive, cursor: 'auto' }}
+        >
+          <CorrectionEditor {...editor} />
+        </div>
+      ) : (
+        <div
+          key={index}
+          ref={(element) => {
+            paragraphRefs.current[index] = element;
+          }}
+          tabIndex={0}
+          onMouseEnter={() => onHighlight(index)}
+          onMouseLeave={() => onHighlight(null)}
+          onFocus={() => onHighlight(index)}
+          onBlur={() => onHighlight(null)}
+          onClick={() => onSelect(index)}
+          onDoubleClick={() => onEdit?.(index)}
+          onKeyDown={(event) => {
+            if (event.key === 'Enter') onSelect(index);
+          }}
+          title={paragraph.corrected ? `Show in document\nCorrected; extracted text: ${paragraph.machineText}` : 'Show in document'}
+          style={{
+            ...styles.paragraph,
+            ...(paragraph.corrected ? styles.paragraphCorrected : {}),
+            ...(index === activeIndex ? styles.paragraphActive : {}),
+          }}
+        >
+          {index === activeIndex && onEdit && (
+            <button
+              onClick={(event) => {
+                event.stopPropagation();
+                onEdit(index);
+              }}
+              style={styles.editButton}
+            >
+              ✎ Edit
+            </button>
+          )}
+          {paragraph.type === 'heading' ? (
+            <div
+              role="heading"
+              aria-level={paragraph.level}
+              style={{ ...styles.heading, fontSize: HEADING_FONT_SIZES[paragraph.level] }}
+            >
+              {highlightMatches(paragraph.text, searchPattern, activeHitStart(index))}
+            </div>
+          ) : (
+            <p style={paragraph.type === 'caption' ? styles.caption : styles.paragraphText}>
+              {highlightMatches(paragraph.text, searchPattern, activeHitStart(index))}
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * A page's cleaned or raw text, or a word-level diff between the two with
+ * deleted words struck through and inserted words highlighted
+ */
+function PageText({ page, view, searchPattern }) {
+  const parts = useMemo(
+    () => (view === 'diff' ? diffWords(page.rawText ?? page.plainText, page.plainText) : null),
+    [page, view]
+  );
+
+  if (view === 'raw') {
+    return <pre style={styles.plainText}>{highlightMatches(page.rawText, searchPattern) || 'No text found on this page.'}</pre>;
+  }
+
+  if (view === 'diff') {
+    return (
+      <pre style={styles.plainText}>
+        {parts.map((part, index) =>
+          part.type === 'insert' ? (
+            <ins key={index} style={styles.diffInsert}>{part.text}</ins>
+          ) : part.type === 'delete' ? (
+            <del key={index} style={styles.diffDelete}>{part.text}</del>
+          ) : (
+            <React.Fragment key={index}>{part.text}</React.Fragment>
+          )
+        )}
+      </pre>
+    );
+  }
+
+  return <pre style={styles.plainText}>{highlightMatches(page.plainText, searchPattern) || 'No text found on this page.'}</pre>;
+}
+
+/**
+ * Text box for correcting a paragraph or a page's cleaned text. Ctrl+Enter
+ * saves, Escape cancels. A corrected text can be reset to machineText, the
+ * extracted text; saving that removes the correction
+ */
+function CorrectionEditor({ value, machineText, saving, onChange, onSave, onCancel }) {
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      onCancel();
+    } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey) && !saving) {
+      event.preventDefault();
+      onSave();
+    }
+  };
+
+  return (
+    <div style={styles.correctionEditor}>
+      <textarea
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        onKeyDown={handleKeyDown}
+        autoFocus
+        rows={Math.min(20, Math.max(3, Math.ceil(value.length / 70) + value.split('\n').length - 1))}
+        aria-label="Corrected text"
+        disabled={saving}
+        style={styles.correctionInput}
+      />
+      <div style={styles.correctionEditorActions}>
+        <button onClick={onSave} disabled={saving} style={styles.refreshButton}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button onClick={onCancel} disabled={saving} style={styles.viewButton}>
+          Cancel
+        </button>
+        {value !== machineText && (
+          <button
+            onClick={() => onChange(machineText)}
+            disabled={saving}
+            title="Put the extracted text back; save to remove the correction"
+            style={styles.viewButton}
+          >
+            Reset to extracted text
+          </button>
+        )}
+        <span style={styles.correctionInfo}>Ctrl+Enter to save, Esc to cancel</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Correction versions of a page, newest first, with what each changed
+ * against the extracted text. Restoring a version (0 for the extracted
+ * text) calls onRevert(version)
+ */
+function CorrectionHistory({ history, currentVersion, disabled, onRevert }) {
+  if (!history.versions) {
+    return <div style={styles.correctionHistory}>Loading history...</div>;
+  }
+
+  return (
+    <div style={styles.correctionHistory}>
+      {history.error && <div role="alert" style={styles.correctionError}>{history.error}</div>}
+      <ol reversed style={styles.historyList}>
+        {[...history.versions].reverse().map((version) => (
+          <li key={version.version} style={styles.historyItem}>
+            <div style={styles.historyHeader}>
+              <span>
+                <strong>Version {version.version}</strong> · {version.author} ·{' '}
+                {new Date(version.createdAt).toLocaleString()}
+                {version.revertedFrom !== null && (
+                  <span style={styles.correctionInfo}>
+                    {' '}· restored {version.revertedFrom === 0 ? 'the extracted text' : `version ${version.revertedFrom}`}
+                  </span>
+                )}
+              </span>
+              {version.version === currentVersion ? (
+                <span style={styles.correctionInfo}>Current</span>
+              ) : (
+                <button onClick={() => onRevert(version.version)} disabled={disabled} style={styles.viewButton}>
+                  Restore
+                </button>
+              )}
+            </div>
+            <VersionChanges version={version} />
+          </li>
+        ))}
+      </ol>
+      <div style={styles.historyHeader}>
+        <span><strong>Version 0</strong> · Extracted text</span>
+        {currentVersion > 0 && (
+          <button onClick={() => onRevert(0)} disabled={disabled} style={styles.viewButton}>
+            Restore
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The corrected texts of a version as word diffs against the extracted text
+ */
+function VersionChanges({ version }) {
+  const texts = [
+    ...Object.entries(version.paragraphs).map(([index, correction]) => ({
+      label: `Paragraph ${Number(index) + 1}`,
+      correction,
+    })),
+    ...(version.plainText ? [{ label: 'Cleaned text', correction: version.plainText }] : []),
+  ];
+
+  if (texts.length === 0) {
+    return <div style={styles.correctionInfo}>No corrections; the extracted text is used</div>;
+  }
+
+  return texts.map(({ label, correction: { diff } }) => (
+    <div key={label} style={styles.historyChange}>
+      <span style={styles.correctionInfo}>
+        {label}
+        {diff.exceeded ? ' (rewritten)' : ` (−${diff.deletedWords} +${diff.insertedWords} words)`}:{' '}
+      </span>
+      {diff.changes.slice(0, MAX_HISTORY_CHANGES).map((change, index) => (
+        <React.Fragment key={index}>
+          {index > 0 && ' … '}
+          {change.type === 'insert' ? (
+            <ins style={styles.diffInsert}>{truncate(change.text, HISTORY_SNIPPET_CHARS)}</ins>
+          ) : (
+            <del style={styles.diffDelete}>{truncate(change.text, HISTORY_SNIPPET_CHARS)}</del>
+          )}
+        </React.Fragment>
+      ))}
+      {diff.changes.length > MAX_HISTORY_CHANGES && ` … ${diff.changes.length - MAX_HISTORY_CHANGES} more`}
+    </div>
+  ));
+}
+
+// Ways to show a page's text
+const TEXT_VIEWS = [
+  { view: 'paragraphs', label: 'Paragraphs' },
+  { view: 'cleaned', label: 'Cleaned' },
+  { view: 'raw', label: 'Raw' },
+  { view: 'diff', label: 'Diff' },
+];
+
+// Search toggles next to the search box
+const SEARCH_OPTIONS = [
+  { option: 'caseSensitive', label: 'Aa', title: 'Match case' },
+  { option: 'wholeWord', label: 'Word', title: 'Match whole words only' },
+  { option: 'regex', label: '.*', title: 'Use a regular expression' },
+];
+
+// Search stops after this many hits; bounds the results list
+const MAX_SEARCH_HITS = 500;
+const SNIPPET_CONTEXT_CHARS = 40;
+
+// Letters and digits, including accented Latin, for whole-word matching
+const WORD_CHAR = '[\\w\\u00C0-\\u024F]';
+
+/**
+ * Build the search RegExp for a query
+ * @returns {RegExp|null} Global pattern, or null for an empty query
+ * @throws {SyntaxError} For an invalid regular expression
+ */
+function buildSearchPattern(query, { caseSensitive, wholeWord, regex }) {
+  if (!query) return null;
+
+  let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) {
+    source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`;
+  }
+  return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Find the pattern in the paragraphs and tables of all extracted pages
+ * @returns {object[]} [{ pageIndex, kind: 'paragraph' | 'table', index, bbox,
+ *   start, snippet: { before, match, after } }] in page order, at most MAX_SEARCH_HITS
+ */
+function searchPages(pages, pattern) {
+  const hits = [];
+
+  for (const page of pages) {
+    if (!page) continue;
+
+    const blocks = [
+      ...(page.paragraphs || []).map((paragraph, index) => ({ kind: 'paragraph', index, text: paragraph.text, bbox: paragraph.bbox })),
+      ...(page.tables || []).map((table, index) => ({
+        kind: 'table',
+        index,
+        text: table.rows.map((row) => row.join(' | ')).join('\n'),
+        bbox: table.bbox,
+      })),
+    ];
+
+    for (const { kind, index, text, bbox } of blocks) {
+      for (const match of text.matchAll(pattern)) {
+        if (!match[0]) continue; // Empty regex matches
+
+        const start = match.index;
+        const end = start + match[0].length;
+        const before = text.slice(Math.max(0, start - SNIPPET_CONTEXT_CHARS), start);
+        const after = text.slice(end, end + SNIPPET_CONTEXT_CHARS);
+
+        hits.push({
+          pageIndex: page.pageIndex,
+          kind,
+          index,
+          bbox,
+          start,
+          snippet: {
+            before: (start > SNIPPET_CONTEXT_CHARS ? '…' : '') + before.replace(/\s+/g, ' '),
+            match: match[0],
+            after: after.replace(/\s+/g, ' ') + (end + SNIPPET_CONTEXT_CHARS < text.length ? '…' : ''),
+          },
+        });
+
+        if (hits.length >= MAX_SEARCH_HITS) return hits;
+      }
+    }
+  }
+
+  return hits;
+}
+
+/**
+ * Text with search matches wrapped in <mark>; the match starting at
+ * activeStart is marked as the active hit
+ */
+function highlightMatches(text, pattern, activeStart = null) {
+  if (!pattern || !text) return text;
+
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (!match[0]) continue;
+    parts.push(text.slice(last, match.index));
+    parts.push(
+      <mark
+        key={match.index}
+        style={match.index === activeStart ? styles.searchMatchActive : styles.searchMatch}
+      >
+        {match[0]}
+      </mark>
+    );
+    last = match.index + match[0].length;
+  }
+  parts.push(text.slice(last));
+  return parts;
+}
+
+// Languages the server cleans with (see server/language.js)
+const LANGUAGE_OPTIONS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: 'en', label: 'English' },
+  { value: 'de', label: 'German' },
+  { value: 'fr', label: 'French' },
+  { value: 'es', label: 'Spanish' },
+];
+
+const LANGUAGE_SOURCE_LABELS = {
+  requested: 'Language selected for the extraction',
+  detected: 'Detected from the page text',
+  document: "Too little text to detect; the document's main language is used",
+  default: 'Too little text to detect; English is used',
+};
+
+function languageName(code) {
+  return LANGUAGE_OPTIONS.find(({ value }) => value === code)?.label || code;
+}
+
+/**
+ * Normalize a typed page range ("1 - 5, 9") to the server's form ("1-5,9")
+ * @returns {string|null} null when it isn't a list of pages and ranges
+ */
+function normalizePageRange(text) {
+  const parts = text.split(',').map((part) => part.replace(/\s+/g, '')).filter(Boolean);
+  const valid = parts.length > 0 && parts.every((part) => {
+    const match = part.match(/^(\d+)(?:-(\d*))?$/);
+    return match && Number(match[1]) >= 1 && (!match[2] || Number(match[2]) >= Number(match[1]));
+  });
+  return valid ? parts.join(',') : null;
+}
+
+/**
+ * Sorted page indexes as a 1-based page range, e.g. [0, 1, 2, 8] → "1-3,9"
+ */
+function formatPageRange(pageIndexes) {
+  const ranges = [];
+  pageIndexes.forEach((pageIndex) => {
+    const last = ranges[ranges.length - 1];
+    if (last && pageIndex === last[1] + 1) {
+      last[1] = pageIndex;
+    } else {
+      ranges.push([pageIndex, pageIndex]);
+    }
+  });
+  return ranges.map(([first, last]) => (first === last ? `${first + 1}` : `${first + 1}-${last + 1}`)).join(',');
+}
+
+const HEADING_FONT_SIZES = { 1: '22px', 2: '19px', 3: '17px', 4: '15px', 5: '14px', 6: '14px' };
+
+/**
+ * Index of the paragraph whose bounding box overlaps the given rects most, or -1
+ */
+function findParagraphAt(paragraphs = [], rects) {
+  const overlap = (a, b) =>
+    Math.max(0, Math.min(a.left + a.width, b.left + b.width) - Math.max(a.left, b.left)) *
+    Math.max(0, Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top));
+
+  let best = -1;
+  let bestArea = 0;
+  paragraphs.forEach((paragraph, index) => {
+    const area = rects.reduce((sum, rect) => sum + overlap(paragraph.bbox, rect), 0);
+    if (area > bestArea) {
+      best = index;
+      bestArea = area;
+    }
+  });
+  return best;
+}
+
+// Changes listed per corrected text in the history, and their length
+const MAX_HISTORY_CHANGES = 6;
+const HISTORY_SNIPPET_CHARS = 80;
+
+/**
+ * Whether a page has corrections; a page can have correction versions that
+ * restored the extracted text
+ */
+function isCorrected(page) {
+  return !!page?.correction && (page.correction.paragraphs.length > 0 || page.correction.plainText);
+}
+
+/**
+ * The extracted text of a paragraph (by index) or of the cleaned text
+ * ('plainText'), before any correction
+ */
+function machineTextOf(page, target) {
+  if (target === 'plainText') return page.machinePlainText ?? page.plainText;
+
+  const paragraph = page.paragraphs[target];
+  return paragraph.corrected ? paragraph.machineText : paragraph.text;
+}
+
+/**
+ * A page with a correction version applied in place of its current
+ * corrections, like the server's correctPage (server/corrections.js)
+ */
+function correctPage(page, version) {
+  const { machinePlainText, correction, ...machinePage } = page;
+  machinePage.plainText = machinePlainText ?? page.plainText;
+  machinePage.paragraphs = (page.paragraphs || []).map(({ corrected, machineText, ...paragraph }) => (
+    corrected ? { ...paragraph, text: machineText } : paragraph
+  ));
+  if (!version) return machinePage;
+
+  const indexes = Object.keys(version.paragraphs).map(Number).filter((index) => index < machinePage.paragraphs.length);
+  let stale = indexes.length < Object.keys(version.paragraphs).length;
+
+  const corrected = {
+    ...machinePage,
+    paragraphs: machinePage.paragraphs.map((paragraph, index) => {
+      const paragraphCorrection = version.paragraphs[index];
+      if (!paragraphCorrection) return paragraph;
+
+      stale ||= paragraphCorrection.machineText !== paragraph.text;
+      return { ...paragraph, text: paragraphCorrection.text, machineText: paragraph.text, corrected: true };
+    }),
+  };
+  if (version.plainText) {
+    stale ||= version.plainText.machineText !== machinePage.plainText;
+    corrected.plainText = version.plainText.text;
+    corrected.machinePlainText = machinePage.plainText;
+  }
+
+  corrected.correction = {
+    version: version.version,
+    author: version.author,
+    createdAt: version.createdAt,
+    paragraphs: indexes,
+    plainText: !!version.plainText,
+    stale,
+  };
+  return corrected;
+}
+
+/**
+ * Who corrected a page and when, or a hint on how to correct it
+ */
+function describeCorrection(page, view) {
+  if (!isCorrected(page)) {
+    if (view === 'paragraphs') return 'Double-click a paragraph to correct it';
+    return view === 'cleaned' ? 'Edit the cleaned text to correct it' : '';
+  }
+
+  const { author, createdAt, paragraphs, plainText, stale } = page.correction;
+  const what = [
+    paragraphs.length > 0 && `${paragraphs.length} ${paragraphs.length === 1 ? 'paragraph' : 'paragraphs'}`,
+    plainText && 'cleaned text',
+  ].filter(Boolean).join(' and ');
+
+  return `✎ ${what} corrected by ${author}, ${new Date(createdAt).toLocaleString()}` +
+    (stale ? ' ⚠ The extracted text has changed since; check the corrections' : '');
+}
+
+/**
+ * Every correction version of a page, oldest first
+ */
+async function fetchCorrectionHistory(documentId, pageIndex) {
+  const response = await fetch(`${API_URL}/api/documents/${documentId}/pages/${pageIndex}/corrections`, {
+    headers: authHeaders(),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load the correction history');
+  }
+  return data.versions;
+}
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+}
+
+// Word diffs needing more edits than this are shown as the whole raw text
+// deleted and the whole cleaned text inserted; bounds time and memory
+const MAX_DIFF_EDITS = 1000;
+
+/**
+ * Whether a page's cleanup changed its text, so there is something to review
+ */
+function isReviewable(page) {
+  return !!page && page.rawText !== undefined && page.rawText !== page.plainText;
+}
+
+/**
+ * Word-level diff of raw and cleaned text; whitespace changes alone don't count
+ * @returns {object[]} [{ type: 'equal' | 'insert' | 'delete', text }] where
+ *   equal and inserted text keep the cleaned text's spacing, deleted text the raw text's
+ */
+function diffWords(rawText, cleanedText) {
+  const raw = tokenizeWords(rawText);
+  const cleaned = tokenizeWords(cleanedText);
+  const edits = shortestEdit(raw.map((token) => token.word), cleaned.map((token) => token.word), MAX_DIFF_EDITS);
+
+  if (!edits) {
+    return [
+      { type: 'delete', text: rawText },
+      { type: 'insert', text: cleanedText },
+    ];
+  }
+
+  const parts = [];
+  for (const edit of edits) {
+    const token = edit.type === 'delete' ? raw[edit.a] : cleaned[edit.b];
+    const text = token.word + token.space;
+    const last = parts[parts.length - 1];
+    // Words from the end of one text can be followed by words of the other
+    if (last && !/\s$/.test(last.text)) last.text += ' ';
+    if (last?.type === edit.type) {
+      last.text += text;
+    } else {
+      parts.push({ type: edit.type, text });
+    }
+  }
+  return parts;
+}
+
+function tokenizeWords(text) {
+  return [...text.matchAll(/(\S+)(\s*)/g)].map(([, word, space]) => ({ word, space }));
+}
+
+/**
+ * Shortest edit script between two arrays using Myers' O((N+M)D) algorithm
+ * @returns {object[]|null} [{ type: 'equal' | 'delete' | 'insert', a, b }] in
+ *   order, or null when more than maxEdits edits are needed
+ */
+function shortestEdit(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrackEdits(trace, n, m, d);
+      }
+    }
+    // Keep only diagonals -d..d; that's all the backtrack needs from step d
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  return null;
+}
+
+function backtrackEdits(trace, n, m, distance) {
+  const edits = [];
+  let x = n;
+  let y = m;
+
+  for (let d = distance; d > 0; d--) {
+    const previous = trace[d - 1];
+    const at = (k) => previous[k + d - 1];
+    const k = x - y;
+    const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+    const prevK = down ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    // Matching words after the edit
+    const startX = down ? prevX : prevX + 1;
+    for (; x > startX; x--, y--) {
+      edits.push({ type: 'equal', a: x - 1, b: y - 1 });
+    }
+
+    edits.push(down ? { type: 'insert', b: prevY } : { type: 'delete', a: prevX });
+    x = prevX;
+    y = prevY;
+  }
+
+  for (; x > 0; x--, y--) {
+    edits.push({ type: 'equal', a: x - 1, b: y - 1 });
+  }
+
+  return edits.reverse();
+}
+
+// Formats offered by GET /api/documents/:documentId/export
+const EXPORT_FORMATS = [
+  { format: 'md', extension: 'md', label: 'Markdown (.md)' },
+  { format: 'html', extension: 'html', label: 'HTML (.html)' },
+  { format: 'txt', extension: 'txt', label: 'Plain text (.txt)' },
+  { format: 'json', extension: 'json', label: 'JSON (.json)' },
+  { format: 'hocr', extension: 'hocr', label: 'hOCR (.hocr)' },
+  { format: 'alto', extension: 'alto.xml', label: 'ALTO XML (.xml)' },
+];
+
+// Per-page cleanup status reported by the server
+const CLEANUP_STATUS_LABELS = {
+  cleaned: 'Cleaned',
+  partial: 'Partially cleaned',
+  skipped: 'Skipped',
+  fallback: 'Raw text (fallback)',
+};
+
+// Cleaners listed in a page's cleanup.applied
+const CLEANER_LABELS = {
+  rules: 'rules',
+  ai: 'AI',
+};
+
+/**
+ * Tooltip text explaining a page's cleanup status
+ */
+function describeCleanup({ reason, rules, provider, model }) {
+  const lines = [];
+  if (reason) lines.push(reason);
+  if (provider) lines.push(`Model: ${provider}/${model}`);
+  if (rules) {
+    lines.push(`Split run-together words: ${rules.segmentedWords}`);
+    lines.push(`Rejoined hyphenated words: ${rules.dehyphenatedWords}`);
+  }
+  return lines.join('\n') || undefined;
+}
+
+// OCR status of pages without a text layer
+const OCR_STATUS_LABELS = {
+  recognized: 'OCR',
+  failed: 'No text (OCR failed) ⚠',
+};
 
-  const currentPage = extractedText.pages[selectedPage];
+/**
+ * Tooltip text explaining how a page's text was recognized
+ */
+function describeOcr({ status, language, reason }) {
+  return status === 'recognized'
+    ? `The page has no text layer; its text was recognized with OCR (${language})`
+    : reason;
+}
 
-  return (
-    <div style={styles.container}>
-      {/* Header with page navigation */}
-      <div style={styles.header}>
-        <h2 style={styles.title}>Extracted Text</h2>
-        <div style={styles.pageNav}>
-          <button
-            onClick={() => setSelectedPage(Math.max(0, selectedPage - 1))}
-            disabled={selectedPage === 0}
-            style={{
-              ...styles.navButton,
-              ...(selectedPage === 0 ? styles.navButtonDisabled : {}),
-            }}
-          >
-            ← Previous
-          </button>
-          <span style={styles.pageInfo}>
-            Page {selectedPage + 1} of {extractedText.pages.length}
-          </span>
-          <button
-            onClick={() =>
-              setSelectedPage(Math.min(extractedText.pages.length - 1, selectedPage + 1))
-            }
-            disabled={selectedPage === extractedText.pages.length - 1}
-            style={{
-              ...styles.navButton,
-              ...(selectedPage === extractedText.pages.length - 1 ? styles.navButtonDisabled : {}),
-            }}
-          >
-            Next →
-          </button>
-        </div>
-        <button onClick={handleExtract} style={styles.refreshButton}>
-          Re-extract
-        </button>
-      </div>
+/**
+ * Tooltip text summarizing a page's fidelity check
+ */
+function describeFidelity({ passed, deletions, insertions, changedNumbers, placeholders }) {
+  const lines = [passed ? 'AI output matches the extracted text' : 'AI output differs from the extracted text'];
+  if (changedNumbers.missing.length) lines.push(`Missing numbers: ${changedNumbers.missing.join(', ')}`);
+  if (changedNumbers.added.length) lines.push(`Added numbers: ${changedNumbers.added.join(', ')}`);
+  if (placeholders.length) lines.push(`Placeholder text: ${placeholders.join(' ')}`);
+  if (deletions.length) lines.push(`Removed: ${deletions.map((text) => `"${text}"`).join(', ')}`);
+  if (insertions.length) lines.push(`Added: ${insertions.map((text) => `"${text}"`).join(', ')}`);
+  return lines.join('\n');
+}
 
-      {/* Extracted text content */}
-      <div style={styles.content}>
-        <pre style={styles.plainText}>{currentPage.plainText || 'No text found on this page.'}</pre>
-      </div>
+/**
+ * Read an NDJSON response body and call onEvent with each parsed line
+ */
+async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
 
-      {/* Statistics */}
-      <div style={styles.stats}>
-        <div style={styles.stat}>
-          <span style={styles.statLabel}>Total Pages:</span>
-          <span style={styles.statValue}>{extractedText.pages.length}</span>
-        </div>
-        <div style={styles.stat}>
-          <span style={styles.statLabel}>Paragraphs:</span>
-          <span style={styles.statValue}>{currentPage.paragraphs?.length || 0}</span>
-        </div>
-      </div>
-    </div>
-  );
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    lines.filter((line) => line.trim()).forEach((line) => onEvent(JSON.parse(line)));
+
+    if (done) return;
+  }
+}
+
+/**
+ * Convert table rows to CSV text, quoting cells that need it
+ */
+function tableToCsv(rows) {
+  return rows
+    .map((row) =>
+      row
+        .map((cell) => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell))
+        .join(',')
+    )
+    .join('\r\n');
+}
+
+/**
+ * Trigger a browser download of text or Blob content
+ */
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
 }
 
 const styles = {
@@ -203,10 +1831,74 @@ const styles = {
     borderRadius: '50%',
     animation: 'spin 1s linear infinite',
   },
+  streamProgress: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '16px',
+  },
+  progressTrack: {
+    width: '100%',
+    maxWidth: '320px',
+    height: '8px',
+    backgroundColor: '#e5e7eb',
+    borderRadius: '4px',
+    overflow: 'hidden',
+  },
+  progressBar: {
+    height: '100%',
+    backgroundColor: '#3b82f6',
+    transition: 'width 0.3s ease',
+  },
   intro: {
     textAlign: 'center',
     padding: '48px 24px',
   },
+  introActions: {
+    display: 'flex',
+    justifyContent: 'center',
+    gap: '12px',
+  },
+  secondaryButton: {
+    padding: '12px 24px',
+    backgroundColor: '#f3f4f6',
+    color: '#1f2937',
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '14px',
+    fontWeight: '500',
+    cursor: 'pointer',
+    marginTop: '16px',
+  },
+  rangeForm: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '8px',
+    marginTop: '16px',
+  },
+  languageSelect: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '14px',
+    color: '#374151',
+  },
+  select: {
+    padding: '7px 8px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '14px',
+    backgroundColor: 'white',
+  },
+  rangeInput: {
+    width: '180px',
+    padding: '8px 12px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '14px',
+  },
   button: {
     padding: '12px 24px',
     backgroundColor: '#3b82f6',
@@ -254,6 +1946,35 @@ const styles = {
     fontSize: '14px',
     color: '#6b7280',
   },
+  headerActions: {
+    display: 'flex',
+    gap: '8px',
+  },
+  downloadMenu: {
+    position: 'relative',
+  },
+  downloadOptions: {
+    position: 'absolute',
+    right: 0,
+    top: '100%',
+    marginTop: '4px',
+    backgroundColor: 'white',
+    border: '1px solid #e5e7eb',
+    borderRadius: '6px',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)',
+    display: 'flex',
+    flexDirection: 'column',
+    minWidth: '160px',
+    zIndex: 10,
+  },
+  downloadOption: {
+    padding: '8px 12px',
+    backgroundColor: 'transparent',
+    border: 'none',
+    textAlign: 'left',
+    fontSize: '14px',
+    cursor: 'pointer',
+  },
   refreshButton: {
     padding: '8px 16px',
     backgroundColor: '#f3f4f6',
@@ -280,6 +2001,38 @@ const styles = {
     margin: 0,
     color: '#1f2937',
   },
+  tableBlock: {
+    marginTop: '24px',
+  },
+  tableBlockActive: {
+    outline: '2px solid #3b82f6',
+    outlineOffset: '4px',
+    borderRadius: '4px',
+  },
+  tableHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '8px',
+  },
+  tableTitle: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#374151',
+  },
+  tableScroll: {
+    overflowX: 'auto',
+  },
+  table: {
+    borderCollapse: 'collapse',
+    fontSize: '13px',
+    color: '#1f2937',
+  },
+  tableCell: {
+    border: '1px solid #e5e7eb',
+    padding: '6px 10px',
+    verticalAlign: 'top',
+  },
   stats: {
     display: 'flex',
     gap: '16px',
@@ -303,6 +2056,239 @@ const styles = {
     fontWeight: '600',
     color: '#111827',
   },
+  statWarning: {
+    color: '#b45309',
+  },
+  reviewBar: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '8px',
+    marginBottom: '16px',
+  },
+  viewToggle: {
+    display: 'flex',
+    gap: '4px',
+  },
+  viewButton: {
+    padding: '6px 12px',
+    backgroundColor: '#f3f4f6',
+    border: '1px solid transparent',
+    borderRadius: '6px',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  viewButtonActive: {
+    backgroundColor: '#eff6ff',
+    borderColor: '#3b82f6',
+    color: '#1d4ed8',
+  },
+  reviewActions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  reviewAccepted: {
+    fontSize: '13px',
+    color: '#166534',
+  },
+  reviewRejected: {
+    fontSize: '13px',
+    color: '#b45309',
+  },
+  paragraph: {
+    padding: '4px 8px',
+    margin: '0 -8px 8px',
+    borderRadius: '4px',
+    borderLeft: '3px solid transparent',
+    cursor: 'pointer',
+  },
+  paragraphActive: {
+    backgroundColor: '#eff6ff',
+    borderLeftColor: '#3b82f6',
+  },
+  paragraphCorrected: {
+    borderLeftColor: '#22c55e',
+  },
+  editButton: {
+    float: 'right',
+    marginLeft: '8px',
+    padding: '2px 8px',
+    backgroundColor: 'white',
+    border: '1px solid #d1d5db',
+    borderRadius: '4px',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  correctionBar: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '8px',
+    marginBottom: '12px',
+  },
+  correctionInfo: {
+    fontSize: '12px',
+    color: '#6b7280',
+  },
+  correctionStale: {
+    fontSize: '12px',
+    color: '#b45309',
+  },
+  correctionError: {
+    fontSize: '13px',
+    color: '#991b1b',
+    marginBottom: '12px',
+  },
+  correctionEditor: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+  correctionInput: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '8px',
+    border: '1px solid #3b82f6',
+    borderRadius: '6px',
+    fontSize: '14px',
+    lineHeight: '1.6',
+    fontFamily: 'inherit',
+    resize: 'vertical',
+  },
+  correctionEditorActions: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '8px',
+  },
+  correctionHistory: {
+    marginBottom: '16px',
+    padding: '12px',
+    border: '1px solid #e5e7eb',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    fontSize: '13px',
+  },
+  historyList: {
+    listStyle: 'none',
+    margin: '0 0 8px',
+    padding: 0,
+  },
+  historyItem: {
+    paddingBottom: '8px',
+    marginBottom: '8px',
+    borderBottom: '1px solid #f3f4f6',
+  },
+  historyHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  historyChange: {
+    marginTop: '4px',
+    lineHeight: '1.5',
+  },
+  paragraphText: {
+    fontSize: '14px',
+    lineHeight: '1.6',
+    color: '#1f2937',
+    margin: 0,
+  },
+  heading: {
+    fontWeight: '600',
+    color: '#111827',
+    margin: '8px 0 0',
+  },
+  caption: {
+    fontSize: '13px',
+    fontStyle: 'italic',
+    color: '#4b5563',
+    margin: 0,
+  },
+  search: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    marginBottom: '16px',
+  },
+  searchRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    flexWrap: 'wrap',
+  },
+  searchInput: {
+    flex: 1,
+    minWidth: '160px',
+    padding: '8px 12px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '14px',
+  },
+  searchOption: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    fontSize: '13px',
+    color: '#374151',
+    cursor: 'pointer',
+  },
+  searchError: {
+    fontSize: '13px',
+    color: '#991b1b',
+  },
+  searchResults: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    maxHeight: '200px',
+    overflowY: 'auto',
+    border: '1px solid #e5e7eb',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+  },
+  searchResult: {
+    display: 'flex',
+    gap: '12px',
+    width: '100%',
+    padding: '6px 12px',
+    backgroundColor: 'transparent',
+    border: 'none',
+    borderBottom: '1px solid #f3f4f6',
+    textAlign: 'left',
+    fontSize: '13px',
+    color: '#374151',
+    cursor: 'pointer',
+  },
+  searchResultActive: {
+    backgroundColor: '#eff6ff',
+  },
+  searchResultPage: {
+    flexShrink: 0,
+    color: '#6b7280',
+    fontVariantNumeric: 'tabular-nums',
+  },
+  searchMatch: {
+    backgroundColor: '#fef08a',
+    color: 'inherit',
+  },
+  searchMatchActive: {
+    backgroundColor: '#fb923c',
+    color: 'inherit',
+  },
+  diffInsert: {
+    backgroundColor: '#dcfce7',
+    color: '#166534',
+    textDecoration: 'none',
+  },
+  diffDelete: {
+    backgroundColor: '#fee2e2',
+    color: '#991b1b',
+  },
 };
 
 export default TextExtraction;
\ No newline at end of file
@@ -1,3 +1,37 @@
 // API configuration for frontend
 // In production, this should point to your deployed backend URL
-export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
\ No newline at end of file
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// localStorage key of the session token the backend issued at sign-in
+const SESSION_KEY = 'session';
+
+/**
+ * The stored session, { token, user, admin, expiresAt }, or null. The
+ * frontend never holds an API key: users sign in with theirs and the
+ * backend returns a session token (POST /api/session)
+ */
+export function getSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (session?.expiresAt && new Date(session.expiresAt) <= new Date()) return null;
+    return session;
+  } catch (err) {
+    return null;
+  }
+}
+
+export function saveSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+/**
+ * Headers that authenticate a request to the backend
+ */
+export function authHeaders() {
+  const token = getSession()?.token;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}